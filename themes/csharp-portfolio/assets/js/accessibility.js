@@ -16,7 +16,6 @@
 	function initAccessibility() {
 		initKeyboardDetection();
 		initFocusManagement();
-		initFormAccessibility();
 		initSkipNavigation();
 		initAriaLiveRegions();
 		initReducedMotion();
@@ -121,165 +120,6 @@
 		});
 	}
 
-	/**
-	 * Form accessibility enhancements
-	 */
-	function initFormAccessibility() {
-		const form = document.getElementById("contactForm");
-		if (!form) return;
-
-		const inputs = form.querySelectorAll("input, textarea");
-
-		inputs.forEach((input) => {
-			// Real-time validation feedback
-			input.addEventListener("blur", function () {
-				validateField(this);
-			});
-
-			input.addEventListener("input", function () {
-				// Clear error state when user starts typing
-				if (this.classList.contains("error")) {
-					this.classList.remove("error");
-					this.setAttribute("aria-invalid", "false");
-
-					const errorElement = document.getElementById(
-						this.getAttribute("aria-describedby")
-					);
-					if (errorElement) {
-						errorElement.textContent = "";
-						errorElement.classList.remove("show");
-					}
-				}
-			});
-		});
-
-		// Form submission with accessibility feedback
-		form.addEventListener("submit", function (e) {
-			e.preventDefault();
-
-			let isValid = true;
-			inputs.forEach((input) => {
-				if (!validateField(input)) {
-					isValid = false;
-				}
-			});
-
-			if (isValid) {
-				showFormStatus("success", "Message sent successfully!");
-				// Focus the status message for screen readers
-				const statusElement = document.getElementById("formStatus");
-				if (statusElement) {
-					statusElement.focus();
-				}
-			} else {
-				showFormStatus("error", "Please correct the errors above.");
-				// Focus first invalid field
-				const firstInvalid = form.querySelector(
-					'[aria-invalid="true"]'
-				);
-				if (firstInvalid) {
-					firstInvalid.focus();
-				}
-			}
-		});
-	}
-
-	/**
-	 * Validate individual form field
-	 */
-	function validateField(field) {
-		const value = field.value.trim();
-		const fieldType = field.type;
-		const isRequired = field.hasAttribute("required");
-		let isValid = true;
-		let errorMessage = "";
-
-		// Required field validation
-		if (isRequired && !value) {
-			isValid = false;
-			errorMessage = `${getFieldLabel(field)} is required.`;
-		}
-		// Email validation
-		else if (fieldType === "email" && value) {
-			const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-			if (!emailRegex.test(value)) {
-				isValid = false;
-				errorMessage = "Please enter a valid email address.";
-			}
-		}
-		// Minimum length validation
-		else if (
-			field.hasAttribute("minlength") &&
-			value.length < field.getAttribute("minlength")
-		) {
-			isValid = false;
-			errorMessage = `${getFieldLabel(
-				field
-			)} must be at least ${field.getAttribute("minlength")} characters.`;
-		}
-
-		// Update field state
-		field.setAttribute("aria-invalid", isValid ? "false" : "true");
-		field.classList.toggle("error", !isValid);
-
-		// Update error message
-		const errorElement = document.getElementById(
-			field.getAttribute("aria-describedby")
-		);
-		if (errorElement) {
-			errorElement.textContent = errorMessage;
-			errorElement.classList.toggle("show", !isValid);
-
-			// Set appropriate error class for styling
-			errorElement.className = "error-message";
-			if (!isValid) {
-				errorElement.classList.add("show");
-				if (fieldType === "email") {
-					errorElement.classList.add("email-error");
-				} else if (isRequired && !value) {
-					errorElement.classList.add("required-error");
-				} else {
-					errorElement.classList.add("length-error");
-				}
-			}
-		}
-
-		return isValid;
-	}
-
-	/**
-	 * Get field label text for error messages
-	 */
-	function getFieldLabel(field) {
-		const label = document.querySelector(`label[for="${field.id}"]`);
-		if (label) {
-			const propertySpan = label.querySelector(".code-property");
-			return propertySpan
-				? propertySpan.textContent
-				: label.textContent.trim();
-		}
-		return field.name || "Field";
-	}
-
-	/**
-	 * Show form status message
-	 */
-	function showFormStatus(type, message) {
-		const statusElement = document.getElementById("formStatus");
-		if (statusElement) {
-			statusElement.className = `form-status ${type} show`;
-			statusElement.textContent = message;
-			statusElement.setAttribute("aria-live", "polite");
-
-			// Auto-hide success messages after 5 seconds
-			if (type === "success") {
-				setTimeout(() => {
-					statusElement.classList.remove("show");
-				}, 5000);
-			}
-		}
-	}
-
 	/**
 	 * Skip navigation functionality
 	 */
@@ -321,8 +161,13 @@
 
 		// Announce theme changes
 		document.addEventListener("themechange", function (e) {
-			const theme = e.detail.theme;
-			announceToScreenReader(`Theme changed to ${theme} mode`);
+			const scheme =
+				window.colorSchemes && window.colorSchemes.get(e.detail.scheme);
+			announceToScreenReader(
+				window.i18n.t("theme.changed", {
+					scheme: scheme ? scheme.name : e.detail.theme,
+				})
+			);
 		});
 	}
 
@@ -392,75 +237,46 @@
 		}
 	}
 
-	/**
-	 * Enhance theme toggle accessibility
-	 */
-	function enhanceThemeToggle() {
-		const themeToggle = document.querySelector("[data-theme-toggle]");
-		if (themeToggle) {
-			// Update ARIA attributes when theme changes
-			const observer = new MutationObserver(function (mutations) {
-				mutations.forEach(function (mutation) {
-					if (
-						mutation.type === "attributes" &&
-						mutation.attributeName === "class"
-					) {
-						const isDark =
-							themeToggle.classList.contains(
-								"theme-toggle--dark"
-							);
-						const textElement = themeToggle.querySelector(
-							".theme-toggle__text"
-						);
-						const iconElement = themeToggle.querySelector(
-							".theme-toggle__icon"
-						);
-
-						if (textElement) {
-							textElement.textContent = isDark
-								? "Dark mode active"
-								: "Light mode active";
-						}
-
-						if (iconElement) {
-							iconElement.textContent = isDark ? "🌙" : "☀️";
-						}
-
-						themeToggle.setAttribute(
-							"aria-label",
-							isDark
-								? "Switch to light theme"
-								: "Switch to dark theme"
-						);
-					}
-				});
-			});
-
-			observer.observe(themeToggle, { attributes: true });
-		}
-	}
-
 	/**
 	 * Initialize when DOM is ready
 	 */
 	if (document.readyState === "loading") {
-		document.addEventListener("DOMContentLoaded", function () {
-			initAccessibility();
-			enhanceThemeToggle();
-		});
+		document.addEventListener("DOMContentLoaded", initAccessibility);
 	} else {
 		initAccessibility();
-		enhanceThemeToggle();
 	}
 
-	// Export functions for external use
+	/**
+	 * Get the validation engine of a field's form (see form-validation.js)
+	 */
+	function getEngine(form) {
+		return typeof FormValidationEngine !== "undefined"
+			? FormValidationEngine.for(form)
+			: null;
+	}
+
+	// Export functions for external use; form validation and status rendering
+	// live in the engine ContactFormValidator drives
 	window.AccessibilityEnhancer = {
 		announceToScreenReader: function (message) {
 			if (window.announceToScreenReader) {
 				window.announceToScreenReader(message);
 			}
 		},
-		validateField: validateField,
-		showFormStatus: showFormStatus,
+		validateField: function (field) {
+			const engine = getEngine(field.form);
+			return engine
+				? engine.validateField(
+						field,
+						engine.schema ? engine.schema.getRules(field) : {}
+				  )
+				: field.checkValidity();
+		},
+		showFormStatus: function (type, message) {
+			const engine = getEngine(document.getElementById("contactForm"));
+			if (engine) {
+				engine.showStatus(message, type, { announce: true });
+			}
+		},
 	};
 })();
@@ -0,0 +1,140 @@
+/**
+ * Color Schemes
+ * Registry of named color schemes offered by ThemeToggle. A scheme is a set of
+ * CSS custom properties applied over the light or dark stylesheet it is based
+ * on. Built-in schemes come from assets/data/color-schemes.json and
+ * `params.colorSchemes`, rendered into the page by partials/color-schemes.html.
+ * Inlined into partials/head.html with theme-core.js, so it is available
+ * before the first paint.
+ */
+
+class ColorSchemeRegistry {
+	constructor() {
+		this.schemes = new Map();
+		// Schemes used for "auto" and for the light/dark shortcut
+		this.defaults = { light: "rider-light", dark: "rider-dark" };
+	}
+
+	/**
+	 * Read the configuration rendered by partials/color-schemes.html
+	 * @returns {Object|null} The configuration, null when it is missing
+	 */
+	static loadConfig() {
+		const configElement = document.getElementById("color-schemes-config");
+		if (!configElement) {
+			return null;
+		}
+
+		try {
+			return JSON.parse(configElement.textContent);
+		} catch (error) {
+			console.error("Invalid color scheme configuration:", error);
+			return null;
+		}
+	}
+
+	/**
+	 * Register the configured schemes and defaults
+	 * @param {Object|null} config - See loadConfig()
+	 */
+	configure(config) {
+		if (!config) {
+			return;
+		}
+
+		(config.schemes || []).forEach((scheme) =>
+			this.register(scheme.id, scheme)
+		);
+
+		["light", "dark"].forEach((base) => {
+			if (config[base]) {
+				this.defaults[base] = String(config[base]).toLowerCase();
+			}
+		});
+	}
+
+	/**
+	 * Register a color scheme
+	 * @param {string} id - Scheme id, stored as the visitor's theme
+	 * @param {Object} scheme - Scheme definition
+	 * @param {string} scheme.name - Name shown in the picker
+	 * @param {string} scheme.base - "light" or "dark", the stylesheet the properties override
+	 * @param {Object} [scheme.properties] - CSS custom properties, e.g. { "--bg-primary": "#1e1e1e" }
+	 */
+	register(id, scheme) {
+		if (
+			!id ||
+			!scheme ||
+			!scheme.name ||
+			!["light", "dark"].includes(scheme.base)
+		) {
+			console.warn("Invalid color scheme registration:", id);
+			return;
+		}
+
+		const key = String(id).toLowerCase();
+		this.schemes.set(key, {
+			id: key,
+			name: scheme.name,
+			base: scheme.base,
+			properties: { ...(scheme.properties || {}) },
+		});
+	}
+
+	/**
+	 * Get a registered scheme by id
+	 * @param {string} id - The scheme id
+	 * @returns {Object|null} The scheme or null if unknown
+	 */
+	get(id) {
+		return this.schemes.get(String(id).toLowerCase()) || null;
+	}
+
+	/**
+	 * @returns {Array<Object>} Registered schemes in registration order
+	 */
+	list() {
+		return Array.from(this.schemes.values());
+	}
+
+	/**
+	 * The default scheme for a base, or the first registered one
+	 * @param {string} base - "light" or "dark"
+	 * @returns {Object|null} The scheme
+	 */
+	getDefault(base) {
+		const scheme = this.get(this.defaults[base]);
+		if (scheme && scheme.base === base) {
+			return scheme;
+		}
+
+		return this.list().find((candidate) => candidate.base === base) || null;
+	}
+
+	/**
+	 * Map a stored value from before schemes existed ("light" or "dark") to
+	 * the matching default scheme; other values are returned unchanged
+	 * @param {string|null} value - Stored theme
+	 * @param {string|null} [systemBase] - The system's "light" or "dark". The old
+	 * bootstrap stored it for visitors who never chose a theme, so a value that
+	 * matches it becomes "auto"
+	 * @returns {string|null} Scheme id, "auto" or null
+	 */
+	migrate(value, systemBase = null) {
+		if (value === "light" || value === "dark") {
+			return value === systemBase ? "auto" : this.defaults[value];
+		}
+
+		return value;
+	}
+}
+
+const colorSchemes = new ColorSchemeRegistry();
+colorSchemes.configure(ColorSchemeRegistry.loadConfig());
+
+window.colorSchemes = colorSchemes;
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ColorSchemeRegistry;
+}
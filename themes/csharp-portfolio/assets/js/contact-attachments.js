@@ -0,0 +1,201 @@
+/**
+ * Contact Form Attachments
+ * Manages an optional `input[type=file][data-attachments]` for ContactFormValidator:
+ * removable chips, drag-and-drop and type/size/count/total payload limits.
+ */
+
+class ContactAttachmentField {
+	/**
+	 * @param {HTMLInputElement} input - The file input
+	 * @param {Object} [options] - `params.contact.attachments` from the site configuration
+	 * @param {Function} [onChange] - Called after files are added or removed
+	 */
+	constructor(input, options = {}, onChange = () => {}) {
+		this.input = input;
+		this.onChange = onChange;
+		this.files = [];
+
+		const data = input.dataset;
+		const limits = ContactRules.attachmentLimits(options, {
+			maxFiles: data.maxFiles,
+			maxSize: data.maxSize,
+			maxTotal: data.maxTotal,
+			accept: input.getAttribute("accept"),
+		});
+		this.maxFiles = limits.maxFiles;
+		this.maxSize = limits.maxSize;
+		this.maxTotal = limits.maxTotal;
+		this.accept = limits.accept;
+
+		this.init();
+	}
+
+	init() {
+		this.dropzone =
+			this.input.closest(".form-group") || this.input.parentElement;
+		this.dropzone.classList.add("attachment-dropzone");
+
+		this.chipList = document.createElement("ul");
+		this.chipList.className = "attachment-chips";
+		this.chipList.setAttribute("role", "list");
+		this.chipList.setAttribute(
+			"aria-label",
+			window.i18n.t("contact.attachments.list")
+		);
+		this.input.insertAdjacentElement("afterend", this.chipList);
+
+		this.input.addEventListener("change", () => {
+			this.addFiles(this.input.files);
+		});
+
+		this.chipList.addEventListener("click", (e) => {
+			const removeButton = e.target.closest("[data-attachment-index]");
+			if (removeButton) {
+				this.removeFile(
+					parseInt(removeButton.getAttribute("data-attachment-index"))
+				);
+			}
+		});
+
+		["dragenter", "dragover"].forEach((type) => {
+			this.dropzone.addEventListener(type, (e) => {
+				if (this.hasFiles(e)) {
+					e.preventDefault();
+					this.dropzone.classList.add("dragover");
+				}
+			});
+		});
+
+		this.dropzone.addEventListener("dragleave", (e) => {
+			if (!this.dropzone.contains(e.relatedTarget)) {
+				this.dropzone.classList.remove("dragover");
+			}
+		});
+
+		this.dropzone.addEventListener("drop", (e) => {
+			if (!this.hasFiles(e)) {
+				return;
+			}
+
+			e.preventDefault();
+			this.dropzone.classList.remove("dragover");
+			this.addFiles(e.dataTransfer.files);
+		});
+	}
+
+	hasFiles(event) {
+		return (
+			event.dataTransfer &&
+			Array.from(event.dataTransfer.types || []).includes("Files")
+		);
+	}
+
+	/**
+	 * Add files, skipping duplicates by name and size
+	 * @param {FileList|Array<File>} fileList - Files to add
+	 */
+	addFiles(fileList) {
+		Array.from(fileList).forEach((file) => {
+			const duplicate = this.files.some(
+				(existing) =>
+					existing.name === file.name && existing.size === file.size
+			);
+			if (!duplicate) {
+				this.files.push(file);
+			}
+		});
+
+		this.sync();
+	}
+
+	removeFile(index) {
+		this.files.splice(index, 1);
+		this.sync();
+		this.input.focus();
+	}
+
+	clear() {
+		this.files = [];
+		this.sync();
+	}
+
+	/**
+	 * Mirror the managed list into the native input and re-render the chips
+	 */
+	sync() {
+		try {
+			const transfer = new DataTransfer();
+			this.files.forEach((file) => transfer.items.add(file));
+			this.input.files = transfer.files;
+		} catch (error) {
+			// Older browsers can't assign FileLists; the managed list is still used
+		}
+
+		this.renderChips();
+		this.onChange(this.input);
+	}
+
+	renderChips() {
+		this.chipList.innerHTML = "";
+
+		this.files.forEach((file, index) => {
+			const chip = document.createElement("li");
+			chip.className = "attachment-chip";
+
+			const name = document.createElement("span");
+			name.className = "attachment-chip__name";
+			name.textContent = file.name;
+
+			const size = document.createElement("span");
+			size.className = "attachment-chip__size";
+			size.textContent = ContactRules.formatSize(file.size);
+
+			const remove = document.createElement("button");
+			remove.type = "button";
+			remove.className = "attachment-chip__remove";
+			remove.setAttribute("data-attachment-index", index);
+			remove.setAttribute(
+				"aria-label",
+				window.i18n.t("contact.attachments.remove", { name: file.name })
+			);
+			remove.textContent = "×";
+
+			chip.append(name, size, remove);
+			this.chipList.appendChild(chip);
+		});
+	}
+
+	/**
+	 * Validate the attached files with the limits the contact Worker also enforces
+	 * @param {number} [textBytes] - Size of the text fields, counted in the total payload
+	 * @returns {string|null} The first error message, or null when valid
+	 */
+	validate(textBytes = 0) {
+		const error = ContactRules.checkAttachments(
+			this.files,
+			{
+				maxFiles: this.maxFiles,
+				maxSize: this.maxSize,
+				maxTotal: this.maxTotal,
+				accept: this.accept,
+			},
+			textBytes
+		);
+
+		return error ? window.i18n.t(error.key, error.params) : null;
+	}
+
+	/**
+	 * Get the attached files for submission
+	 * @returns {Array<{field: string, file: File}>} Files with their form field name
+	 */
+	getAttachments() {
+		const field = this.input.name || this.input.id;
+		return this.files.map((file) => ({ field, file }));
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactAttachmentField;
+}
@@ -0,0 +1,275 @@
+/**
+ * Contact Form Diagnostics Panel
+ * IDE-style "Error List" aggregating ContactFormValidator errors with stable
+ * diagnostic codes, severities and field locations. Entries are clickable,
+ * and F8 / Shift+F8 move focus to the next / previous offending field.
+ */
+
+class ContactDiagnosticsPanel {
+	/**
+	 * @param {HTMLFormElement} form - The form the diagnostics belong to
+	 */
+	constructor(form) {
+		this.form = form;
+		this.diagnostics = new Map();
+		this.currentIndex = -1;
+
+		this.init();
+	}
+
+	/**
+	 * Map a validation error class to its stable diagnostic code
+	 * @param {string} errorClass - Class passed to FormValidationEngine.showError
+	 * @returns {string} The diagnostic code
+	 */
+	static getCode(errorClass) {
+		return (
+			ContactDiagnosticsPanel.codes[errorClass] ||
+			ContactDiagnosticsPanel.codes.default
+		);
+	}
+
+	init() {
+		this.panel = document.createElement("div");
+		this.panel.className = "diagnostics-panel";
+		this.panel.setAttribute("role", "region");
+		this.panel.setAttribute(
+			"aria-label",
+			window.i18n.t("diagnostics.title")
+		);
+		this.panel.hidden = true;
+		this.panel.innerHTML = `
+            <div class="diagnostics-header">
+                <span class="diagnostics-title"></span>
+                <span class="diagnostics-summary" aria-live="polite"></span>
+                <span class="diagnostics-hint" aria-hidden="true">F8 / Shift+F8</span>
+            </div>
+            <ul class="diagnostics-list" role="list"></ul>
+        `;
+
+		this.panel.querySelector(".diagnostics-title").textContent =
+			window.i18n.t("diagnostics.title");
+		this.summaryElement = this.panel.querySelector(".diagnostics-summary");
+		this.listElement = this.panel.querySelector(".diagnostics-list");
+
+		const statusElement = this.form.querySelector("#formStatus");
+		if (statusElement) {
+			statusElement.insertAdjacentElement("beforebegin", this.panel);
+		} else {
+			this.form.appendChild(this.panel);
+		}
+
+		this.listElement.addEventListener("click", (e) => {
+			const entry = e.target.closest("[data-diagnostic-key]");
+			if (entry) {
+				this.goTo(entry.getAttribute("data-diagnostic-key"));
+			}
+		});
+
+		this.form.addEventListener("keydown", (e) => {
+			if (e.key === "F8" && this.diagnostics.size > 0) {
+				e.preventDefault();
+				this.step(e.shiftKey ? -1 : 1);
+			}
+		});
+	}
+
+	/**
+	 * Add or replace the diagnostic for a field (or a form-level key)
+	 * @param {string} key - Field id, or any key for form-level diagnostics
+	 * @param {Object} diagnostic - The diagnostic
+	 * @param {string} diagnostic.code - Stable code, e.g. "CF0001"
+	 * @param {string} diagnostic.message - Message shown in the list
+	 * @param {string} [diagnostic.severity] - "error", "warning" or "info"
+	 * @param {HTMLElement} [diagnostic.input] - The offending field
+	 * @param {string} [diagnostic.label] - Field label shown before the message
+	 */
+	set(key, diagnostic) {
+		this.diagnostics.set(key, { severity: "error", ...diagnostic });
+		this.render();
+	}
+
+	remove(key) {
+		if (this.diagnostics.delete(key)) {
+			this.render();
+		}
+	}
+
+	/**
+	 * Remove diagnostics that are not attached to a field
+	 */
+	clearFormLevel() {
+		this.diagnostics.forEach((diagnostic, key) => {
+			if (!diagnostic.input) {
+				this.diagnostics.delete(key);
+			}
+		});
+		this.render();
+	}
+
+	clear() {
+		this.diagnostics.clear();
+		this.currentIndex = -1;
+		this.render();
+	}
+
+	/**
+	 * Count diagnostics by severity
+	 * @returns {{error: number, warning: number, info: number}} Counts
+	 */
+	getCounts() {
+		const counts = { error: 0, warning: 0, info: 0 };
+		this.diagnostics.forEach((diagnostic) => {
+			counts[diagnostic.severity] =
+				(counts[diagnostic.severity] || 0) + 1;
+		});
+		return counts;
+	}
+
+	/**
+	 * Diagnostics in document order, form-level entries last
+	 * @returns {Array<Array>} [key, diagnostic] pairs
+	 */
+	getSorted() {
+		return Array.from(this.diagnostics.entries()).sort(
+			([, a], [, b]) => this.getLine(a) - this.getLine(b)
+		);
+	}
+
+	/**
+	 * Line number of a diagnostic: the field's position in the form
+	 * @param {Object} diagnostic - The diagnostic
+	 * @returns {number} 1-based line, or Infinity for form-level diagnostics
+	 */
+	getLine(diagnostic) {
+		if (!diagnostic.input) {
+			return Infinity;
+		}
+
+		const fields = Array.from(
+			this.form.querySelectorAll("input[id], textarea[id], select[id]")
+		);
+		return fields.indexOf(diagnostic.input) + 1 || Infinity;
+	}
+
+	render() {
+		const counts = this.getCounts();
+		const sorted = this.getSorted();
+
+		this.panel.hidden = sorted.length === 0;
+		this.summaryElement.textContent = window.i18n.t("diagnostics.summary", {
+			errors: counts.error,
+			warnings: counts.warning,
+			messages: counts.info,
+		});
+		this.listElement.innerHTML = "";
+
+		sorted.forEach(([key, diagnostic]) => {
+			const line = this.getLine(diagnostic);
+			const item = document.createElement("li");
+			const entry = document.createElement("button");
+
+			entry.type = "button";
+			entry.className = `diagnostic diagnostic--${diagnostic.severity}`;
+			entry.setAttribute("data-diagnostic-key", key);
+			entry.disabled = !diagnostic.input;
+
+			const parts = [
+				["diagnostic-severity", diagnostic.severity],
+				["diagnostic-code", diagnostic.code],
+				[
+					"diagnostic-message",
+					diagnostic.label
+						? `${diagnostic.label}: ${diagnostic.message}`
+						: diagnostic.message,
+				],
+				[
+					"diagnostic-location",
+					line === Infinity
+						? window.i18n.t("diagnostics.form")
+						: window.i18n.t("diagnostics.line", { line }),
+				],
+			];
+
+			parts.forEach(([className, text]) => {
+				const span = document.createElement("span");
+				span.className = className;
+				span.textContent = text;
+				entry.appendChild(span);
+			});
+
+			item.appendChild(entry);
+			this.listElement.appendChild(item);
+		});
+	}
+
+	/**
+	 * Move focus to the field of the given diagnostic
+	 * @param {string} key - Diagnostic key
+	 */
+	goTo(key) {
+		const diagnostic = this.diagnostics.get(key);
+		if (!diagnostic || !diagnostic.input) {
+			return;
+		}
+
+		this.currentIndex = this.getSorted().findIndex(([k]) => k === key);
+		diagnostic.input.focus();
+		diagnostic.input.scrollIntoView({
+			behavior: "smooth",
+			block: "center",
+		});
+	}
+
+	/**
+	 * Focus the next (1) or previous (-1) field with a diagnostic, wrapping around
+	 * @param {number} direction - 1 or -1
+	 */
+	step(direction) {
+		const navigable = this.getSorted().filter(([, d]) => d.input);
+		if (navigable.length === 0) {
+			return;
+		}
+
+		// Start from the focused field when it has a diagnostic
+		const focusedIndex = navigable.findIndex(
+			([, d]) => d.input === document.activeElement
+		);
+		const fromIndex =
+			focusedIndex !== -1 ? focusedIndex : this.currentIndex;
+		const nextIndex =
+			fromIndex === -1 && direction < 0
+				? navigable.length - 1
+				: (fromIndex + direction + navigable.length) % navigable.length;
+
+		this.goTo(navigable[nextIndex][0]);
+		this.currentIndex = nextIndex;
+	}
+
+	/**
+	 * Move focus to the first field with a diagnostic
+	 */
+	focusFirst() {
+		const first = this.getSorted().find(([, d]) => d.input);
+		if (first) {
+			this.goTo(first[0]);
+		}
+	}
+}
+
+// Stable diagnostic codes, keyed by the validator's error class
+ContactDiagnosticsPanel.codes = {
+	"email-error": "CF0001",
+	"required-error": "CF0002",
+	"length-error": "CF0003",
+	"format-error": "CF0004",
+	"mismatch-error": "CF0005",
+	"spam-error": "CF0006",
+	"attachment-error": "CF0007",
+	default: "CF0000",
+};
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactDiagnosticsPanel;
+}
@@ -0,0 +1,256 @@
+/**
+ * Contact Form Draft Autosave
+ * Saves unsent contact form input to localStorage (debounced, with expiry)
+ * and offers to restore it when the visitor comes back.
+ */
+
+class ContactDraftStore {
+	/**
+	 * @param {HTMLFormElement} form - The contact form
+	 * @param {Function} getFields - () => Array<HTMLElement> of fields to save
+	 * @param {Object} [options] - `params.contact.draft` from the site configuration
+	 */
+	constructor(form, getFields, options = {}) {
+		this.form = form;
+		this.getFields = getFields;
+		this.storageKey = `csharp-portfolio-contact-draft:${form.id}`;
+		this.debounceDelay = options.debounce || 1000;
+		this.expiry = (options.expirydays || 7) * 24 * 60 * 60 * 1000;
+		this.saveTimer = null;
+		this.paused = false;
+
+		this.init();
+	}
+
+	init() {
+		this.form.addEventListener("input", () => this.scheduleSave());
+		this.form.addEventListener("change", () => this.scheduleSave());
+
+		// Don't lose the last keystrokes when leaving the page
+		window.addEventListener("pagehide", () => this.flush());
+
+		this.offerRestore();
+	}
+
+	/**
+	 * Read the stored draft, discarding it once expired
+	 * @returns {Object|null} The draft ({ savedAt, values }) or null
+	 */
+	load() {
+		let draft = null;
+
+		try {
+			draft = JSON.parse(localStorage.getItem(this.storageKey));
+		} catch (error) {
+			console.warn(
+				"Failed to read contact draft from localStorage:",
+				error
+			);
+			return null;
+		}
+
+		if (!draft || !draft.values) {
+			return null;
+		}
+
+		if (Date.now() - draft.savedAt > this.expiry) {
+			this.clear();
+			return null;
+		}
+
+		return draft;
+	}
+
+	/**
+	 * Save field values, or clear the draft when they are all empty
+	 * @param {Object} [values] - Values keyed by field id, defaults to the current form
+	 */
+	save(values = this.collectValues()) {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		if (Object.values(values).every((value) => !value.trim())) {
+			this.clear();
+			return;
+		}
+
+		try {
+			localStorage.setItem(
+				this.storageKey,
+				JSON.stringify({ savedAt: Date.now(), values })
+			);
+		} catch (error) {
+			console.warn(
+				"Failed to store contact draft in localStorage:",
+				error
+			);
+		}
+	}
+
+	scheduleSave() {
+		if (this.paused) {
+			return;
+		}
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = setTimeout(() => this.save(), this.debounceDelay);
+	}
+
+	/**
+	 * Save immediately if a save is pending
+	 */
+	flush() {
+		if (this.saveTimer) {
+			this.save();
+		}
+	}
+
+	/**
+	 * Stop or resume autosaving; pausing discards the stored draft, e.g. so no
+	 * plaintext stays behind when the visitor asks for an encrypted message
+	 * @param {boolean} paused - True to stop saving
+	 */
+	pause(paused) {
+		this.paused = paused;
+
+		if (paused) {
+			this.clear();
+		}
+	}
+
+	clear() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		try {
+			localStorage.removeItem(this.storageKey);
+		} catch (error) {
+			console.warn(
+				"Failed to clear contact draft from localStorage:",
+				error
+			);
+		}
+
+		this.hidePrompt();
+	}
+
+	collectValues() {
+		const values = {};
+
+		this.getFields().forEach((field) => {
+			if (
+				["file", "password", "checkbox", "radio"].includes(field.type)
+			) {
+				return;
+			}
+			values[field.id] = field.value;
+		});
+
+		return values;
+	}
+
+	/**
+	 * Write stored values back into the form
+	 * @param {Object} values - Values keyed by field id
+	 */
+	restore(values) {
+		Object.entries(values).forEach(([id, value]) => {
+			const field = this.form.querySelector(`#${id}`);
+			if (field) {
+				field.value = value;
+				field.dispatchEvent(new Event("change", { bubbles: true }));
+			}
+		});
+	}
+
+	/**
+	 * Show a "Restore unsaved draft?" prompt when a draft differs from the form
+	 */
+	offerRestore() {
+		const draft = this.load();
+		if (!draft) {
+			return;
+		}
+
+		const current = this.collectValues();
+		const differs = Object.entries(draft.values).some(
+			([id, value]) => value && current[id] !== value
+		);
+		if (!differs) {
+			return;
+		}
+
+		this.prompt = document.createElement("div");
+		this.prompt.className = "draft-prompt";
+		this.prompt.setAttribute("role", "status");
+		this.prompt.innerHTML = `
+            <span class="draft-prompt__text">
+                <span class="code-comment"></span>
+            </span>
+            <button type="button" class="btn btn-secondary draft-prompt__restore"></button>
+            <button type="button" class="btn btn-outline draft-prompt__discard"></button>
+        `;
+		this.prompt.querySelector(".code-comment").textContent = window.i18n.t(
+			"contact.draft.prompt",
+			{ age: this.formatAge(draft.savedAt) }
+		);
+		this.prompt.querySelector(".draft-prompt__restore").textContent =
+			window.i18n.t("contact.draft.restore");
+		this.prompt.querySelector(".draft-prompt__discard").textContent =
+			window.i18n.t("contact.draft.discard");
+
+		this.prompt
+			.querySelector(".draft-prompt__restore")
+			.addEventListener("click", () => {
+				this.restore(draft.values);
+				this.hidePrompt();
+				const firstField = this.getFields()[0];
+				if (firstField) {
+					firstField.focus();
+				}
+			});
+
+		this.prompt
+			.querySelector(".draft-prompt__discard")
+			.addEventListener("click", () => this.clear());
+
+		this.form.insertAdjacentElement("afterbegin", this.prompt);
+	}
+
+	hidePrompt() {
+		if (this.prompt) {
+			this.prompt.remove();
+			this.prompt = null;
+		}
+	}
+
+	/**
+	 * Describe how long ago a draft was saved
+	 * @param {number} savedAt - Timestamp in milliseconds
+	 * @returns {string} e.g. "5 minutes ago"
+	 */
+	formatAge(savedAt) {
+		const minutes = Math.round((Date.now() - savedAt) / 60000);
+		const hours = Math.round(minutes / 60);
+		let duration;
+
+		if (minutes < 1) return window.i18n.t("duration.justNow");
+
+		if (minutes < 60) {
+			duration = window.i18n.t("duration.minutes", { count: minutes });
+		} else if (hours < 24) {
+			duration = window.i18n.t("duration.hours", { count: hours });
+		} else {
+			duration = window.i18n.t("duration.days", {
+				count: Math.round(hours / 24),
+			});
+		}
+
+		return window.i18n.t("duration.ago", { duration });
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactDraftStore;
+}
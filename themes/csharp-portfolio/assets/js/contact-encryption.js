@@ -0,0 +1,655 @@
+/**
+ * Contact Message Encryption
+ * Opt-in end-to-end encryption of the contact message and its attachments
+ * with WebCrypto, against the public key in `params.contact.encryption`.
+ * Every item gets a fresh AES-256-GCM key which is either wrapped with the
+ * site's RSA-OAEP key or derived from an ephemeral ECDH P-256 key agreement
+ * (HKDF-SHA-256). The result is an ASCII-armored envelope that survives any
+ * provider, mail client or queue, and that /tools/contact-decrypt.html opens
+ * offline with the private key.
+ */
+
+class ContactMessageEncryptor {
+	/**
+	 * @param {Object} options - `params.contact.encryption` from the site configuration
+	 * @param {string} options.publickey - SPKI public key as PEM, or a JWK as JSON
+	 * @param {string} [options.algorithm] - "RSA-OAEP" or "ECDH", detected from the key when omitted
+	 */
+	constructor(options = {}) {
+		this.options = options;
+		this.recipientPromise = null;
+	}
+
+	/**
+	 * Check whether the browser can encrypt (WebCrypto needs a secure context)
+	 * @returns {boolean} True when supported
+	 */
+	static isSupported() {
+		return (
+			typeof crypto !== "undefined" &&
+			typeof crypto.subtle !== "undefined" &&
+			typeof TextEncoder !== "undefined"
+		);
+	}
+
+	/**
+	 * Check whether a value is an armored envelope
+	 * @param {string} value - The value
+	 * @returns {boolean} True when armored
+	 */
+	static isArmored(value) {
+		return String(value || "")
+			.trim()
+			.startsWith(ContactMessageEncryptor.armor.begin);
+	}
+
+	/**
+	 * Attachment limits for encrypted files: armoring grows every file by a
+	 * third plus the envelope headers, and hides the original type
+	 * @param {Object} limits - Limits from ContactRules.attachmentLimits()
+	 * @returns {Object} Limits to check the armored files against
+	 */
+	static armoredLimits(limits) {
+		const size = ContactMessageEncryptor.armoredSize;
+
+		return {
+			...limits,
+			maxSize: size(limits.maxSize),
+			maxTotal: size(limits.maxTotal) + limits.maxFiles * size(0),
+			accept: [ContactMessageEncryptor.fileExtension],
+		};
+	}
+
+	/**
+	 * Upper bound of the armored size of a plaintext
+	 * @param {number} bytes - Plaintext size in bytes
+	 * @returns {number} Armored size in bytes
+	 */
+	static armoredSize(bytes) {
+		// Metadata line, GCM tag, base64 with line breaks, and the headers
+		const ciphertext = bytes + 1024 + 16;
+		const base64 = Math.ceil(ciphertext / 3) * 4;
+		return base64 + Math.ceil(base64 / 64) + 2048;
+	}
+
+	/**
+	 * Upper bound of the armored length of a text, for limits checked on the
+	 * plaintext: UTF-8 takes at most three bytes per UTF-16 code unit
+	 * @param {number} length - Plaintext length in characters
+	 * @returns {number} Armored length in characters
+	 */
+	static armoredTextLength(length) {
+		return ContactMessageEncryptor.armoredSize(length * 3);
+	}
+
+	/**
+	 * Import the site's public key once
+	 * @returns {Promise<{scheme: string, key: CryptoKey, fingerprint: string}>} The recipient
+	 */
+	getRecipient() {
+		if (!this.recipientPromise) {
+			this.recipientPromise = ContactMessageEncryptor.importPublicKey(
+				this.options.publickey,
+				this.options.algorithm
+			);
+		}
+
+		return this.recipientPromise;
+	}
+
+	/**
+	 * Encrypt the message and attachments of a submission
+	 * @param {Object} data - Form values keyed by field name
+	 * @param {Array<{field: string, file: File}>} attachments - Attached files
+	 * @param {Array<string>} [fields] - Fields to encrypt; the rest stay readable for routing and replies
+	 * @returns {Promise<{data: Object, attachments: Array<{field: string, file: File}>}>} The encrypted submission
+	 */
+	async encryptSubmission(
+		data,
+		attachments,
+		fields = ContactMessageEncryptor.encryptedFields
+	) {
+		const encrypted = { ...data, encrypted: "true" };
+
+		for (const field of fields) {
+			if (data[field]) {
+				encrypted[field] = await this.encryptText(data[field]);
+			}
+		}
+
+		const files = [];
+		for (const [index, attachment] of attachments.entries()) {
+			files.push({
+				field: attachment.field,
+				file: await this.encryptFile(attachment.file, index + 1),
+			});
+		}
+
+		return { data: encrypted, attachments: files };
+	}
+
+	/**
+	 * Encrypt a text
+	 * @param {string} text - The plaintext
+	 * @returns {Promise<string>} The armored envelope
+	 */
+	async encryptText(text) {
+		return this.seal("text", new TextEncoder().encode(text));
+	}
+
+	/**
+	 * Encrypt a file; the name and type travel inside the envelope
+	 * @param {File} file - The file
+	 * @param {number} index - Position, used for the neutral file name
+	 * @returns {Promise<File>} The armored file, e.g. "attachment-1.asc"
+	 */
+	async encryptFile(file, index) {
+		const meta = new TextEncoder().encode(
+			`${JSON.stringify({ name: file.name, type: file.type })}\n`
+		);
+		const content = new Uint8Array(await file.arrayBuffer());
+		const plaintext = new Uint8Array(meta.length + content.length);
+		plaintext.set(meta);
+		plaintext.set(content, meta.length);
+
+		return new File(
+			[await this.seal("file", plaintext)],
+			`attachment-${index}${ContactMessageEncryptor.fileExtension}`,
+			{ type: "text/plain" }
+		);
+	}
+
+	/**
+	 * Encrypt bytes under a fresh content key and armor the result
+	 * @param {string} content - "text" or "file"
+	 * @param {Uint8Array} plaintext - The bytes
+	 * @returns {Promise<string>} The armored envelope
+	 */
+	async seal(content, plaintext) {
+		const subtle = crypto.subtle;
+		const recipient = await this.getRecipient();
+		const headers = {
+			Version: "1",
+			Scheme: ContactMessageEncryptor.schemes[recipient.scheme],
+			Recipient: recipient.fingerprint,
+			Content: content,
+		};
+		let key;
+
+		if (recipient.scheme === "RSA-OAEP") {
+			key = await subtle.generateKey(
+				{ name: "AES-GCM", length: 256 },
+				true,
+				["encrypt"]
+			);
+			headers.Key = ContactMessageEncryptor.toBase64(
+				await subtle.wrapKey("raw", key, recipient.key, {
+					name: "RSA-OAEP",
+				})
+			);
+		} else {
+			const ephemeral = await subtle.generateKey(
+				{ name: "ECDH", namedCurve: "P-256" },
+				true,
+				["deriveBits"]
+			);
+			const salt = crypto.getRandomValues(new Uint8Array(32));
+
+			key = await ContactMessageEncryptor.deriveContentKey(
+				ephemeral.privateKey,
+				recipient.key,
+				salt,
+				"encrypt"
+			);
+			headers.Ephemeral = ContactMessageEncryptor.toBase64(
+				await subtle.exportKey("raw", ephemeral.publicKey)
+			);
+			headers.Salt = ContactMessageEncryptor.toBase64(salt);
+		}
+
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		headers.IV = ContactMessageEncryptor.toBase64(iv);
+
+		const ciphertext = await subtle.encrypt(
+			{
+				name: "AES-GCM",
+				iv,
+				additionalData: ContactMessageEncryptor.associatedData(headers),
+			},
+			key,
+			plaintext
+		);
+
+		return ContactMessageEncryptor.formatArmor(headers, ciphertext);
+	}
+
+	/**
+	 * Decrypt an armored envelope (used by the offline decrypt tool)
+	 * @param {string} armored - The envelope
+	 * @param {CryptoKey} privateKey - Key from importPrivateKey()
+	 * @returns {Promise<Object>} { content: "text", text } or { content: "file", name, type, bytes }
+	 */
+	static async decrypt(armored, privateKey) {
+		const subtle = crypto.subtle;
+		const { headers, body } = ContactMessageEncryptor.parseArmor(armored);
+		const fromBase64 = ContactMessageEncryptor.fromBase64;
+		let key;
+
+		if (headers.Version !== "1") {
+			throw new Error(`Unsupported envelope version: ${headers.Version}`);
+		}
+
+		if (headers.Scheme === ContactMessageEncryptor.schemes["RSA-OAEP"]) {
+			key = await subtle.unwrapKey(
+				"raw",
+				fromBase64(headers.Key),
+				privateKey,
+				{ name: "RSA-OAEP" },
+				{ name: "AES-GCM" },
+				false,
+				["decrypt"]
+			);
+		} else if (headers.Scheme === ContactMessageEncryptor.schemes.ECDH) {
+			const ephemeral = await subtle.importKey(
+				"raw",
+				fromBase64(headers.Ephemeral),
+				{ name: "ECDH", namedCurve: "P-256" },
+				false,
+				[]
+			);
+			key = await ContactMessageEncryptor.deriveContentKey(
+				privateKey,
+				ephemeral,
+				fromBase64(headers.Salt),
+				"decrypt"
+			);
+		} else {
+			throw new Error(`Unsupported scheme: ${headers.Scheme}`);
+		}
+
+		const plaintext = new Uint8Array(
+			await subtle.decrypt(
+				{
+					name: "AES-GCM",
+					iv: fromBase64(headers.IV),
+					additionalData:
+						ContactMessageEncryptor.associatedData(headers),
+				},
+				key,
+				fromBase64(body)
+			)
+		);
+
+		if (headers.Content !== "file") {
+			return {
+				content: "text",
+				text: new TextDecoder().decode(plaintext),
+			};
+		}
+
+		const newline = plaintext.indexOf(10);
+		const meta = JSON.parse(
+			new TextDecoder().decode(plaintext.subarray(0, newline))
+		);
+		return {
+			content: "file",
+			name: meta.name,
+			type: meta.type || "application/octet-stream",
+			bytes: plaintext.subarray(newline + 1),
+		};
+	}
+
+	/**
+	 * Derive the AES-GCM content key from an ECDH agreement
+	 * @param {CryptoKey} privateKey - Our ECDH private key
+	 * @param {CryptoKey} publicKey - Their ECDH public key
+	 * @param {Uint8Array} salt - HKDF salt
+	 * @param {string} usage - "encrypt" or "decrypt"
+	 * @returns {Promise<CryptoKey>} The content key
+	 */
+	static async deriveContentKey(privateKey, publicKey, salt, usage) {
+		const subtle = crypto.subtle;
+		const secret = await subtle.deriveBits(
+			{ name: "ECDH", public: publicKey },
+			privateKey,
+			256
+		);
+		const material = await subtle.importKey("raw", secret, "HKDF", false, [
+			"deriveKey",
+		]);
+
+		return subtle.deriveKey(
+			{
+				name: "HKDF",
+				hash: "SHA-256",
+				salt,
+				info: new TextEncoder().encode(ContactMessageEncryptor.info),
+			},
+			material,
+			{ name: "AES-GCM", length: 256 },
+			false,
+			[usage]
+		);
+	}
+
+	/**
+	 * Authenticate the headers along with the ciphertext, so they can't be swapped
+	 * @param {Object} headers - Envelope headers
+	 * @returns {Uint8Array} Associated data
+	 */
+	static associatedData(headers) {
+		return new TextEncoder().encode(
+			[
+				ContactMessageEncryptor.info,
+				headers.Scheme,
+				headers.Content,
+			].join("|")
+		);
+	}
+
+	/**
+	 * Import a public key given as SPKI PEM or JWK
+	 * @param {string|Object} publicKey - The key
+	 * @param {string} [algorithm] - "RSA-OAEP" or "ECDH", detected when omitted
+	 * @returns {Promise<{scheme: string, key: CryptoKey, fingerprint: string}>} The recipient
+	 */
+	static async importPublicKey(publicKey, algorithm) {
+		const subtle = crypto.subtle;
+		const jwk = ContactMessageEncryptor.parseJwk(publicKey);
+		const scheme = ContactMessageEncryptor.detectScheme(
+			algorithm,
+			jwk,
+			publicKey
+		);
+		const params =
+			scheme === "RSA-OAEP"
+				? { name: "RSA-OAEP", hash: "SHA-256" }
+				: { name: "ECDH", namedCurve: "P-256" };
+		const usages = scheme === "RSA-OAEP" ? ["wrapKey"] : [];
+
+		let key;
+		if (jwk) {
+			// Drop private members and usages a JWK export may carry
+			const { d, p, q, dp, dq, qi, key_ops, use, alg, ...rest } = jwk;
+			key = await subtle.importKey(
+				"jwk",
+				scheme === "RSA-OAEP" ? { ...rest, alg: "RSA-OAEP-256" } : rest,
+				params,
+				true,
+				usages
+			);
+		} else {
+			key = await subtle.importKey(
+				"spki",
+				ContactMessageEncryptor.fromPem(publicKey),
+				params,
+				true,
+				usages
+			);
+		}
+
+		return {
+			scheme,
+			key,
+			fingerprint: await ContactMessageEncryptor.fingerprint(key),
+		};
+	}
+
+	/**
+	 * Import the owner's private key given as PKCS#8 PEM or JWK
+	 * @param {string} privateKey - The key
+	 * @returns {Promise<CryptoKey>} The key
+	 */
+	static async importPrivateKey(privateKey) {
+		const subtle = crypto.subtle;
+		const jwk = ContactMessageEncryptor.parseJwk(privateKey);
+		const scheme = ContactMessageEncryptor.detectScheme(
+			null,
+			jwk,
+			privateKey
+		);
+
+		if (scheme === "RSA-OAEP") {
+			const params = { name: "RSA-OAEP", hash: "SHA-256" };
+			return jwk
+				? subtle.importKey(
+						"jwk",
+						{ ...jwk, alg: "RSA-OAEP-256", key_ops: undefined },
+						params,
+						false,
+						["unwrapKey"]
+				  )
+				: subtle.importKey(
+						"pkcs8",
+						ContactMessageEncryptor.fromPem(privateKey),
+						params,
+						false,
+						["unwrapKey"]
+				  );
+		}
+
+		const params = { name: "ECDH", namedCurve: "P-256" };
+		return jwk
+			? subtle.importKey(
+					"jwk",
+					{ ...jwk, key_ops: undefined },
+					params,
+					false,
+					["deriveBits"]
+			  )
+			: subtle.importKey(
+					"pkcs8",
+					ContactMessageEncryptor.fromPem(privateKey),
+					params,
+					false,
+					["deriveBits"]
+			  );
+	}
+
+	/**
+	 * Generate a key pair for `params.contact.encryption`
+	 * @param {string} [scheme] - "RSA-OAEP" (4096 bits) or "ECDH" (P-256)
+	 * @returns {Promise<{publicKey: string, privateKey: string, fingerprint: string}>} PEM encoded keys
+	 */
+	static async generateKeyPair(scheme = "RSA-OAEP") {
+		const subtle = crypto.subtle;
+		const pair =
+			scheme === "RSA-OAEP"
+				? await subtle.generateKey(
+						{
+							name: "RSA-OAEP",
+							modulusLength: 4096,
+							publicExponent: new Uint8Array([1, 0, 1]),
+							hash: "SHA-256",
+						},
+						true,
+						["wrapKey", "unwrapKey"]
+				  )
+				: await subtle.generateKey(
+						{ name: "ECDH", namedCurve: "P-256" },
+						true,
+						["deriveBits"]
+				  );
+
+		return {
+			publicKey: ContactMessageEncryptor.toPem(
+				await subtle.exportKey("spki", pair.publicKey),
+				"PUBLIC KEY"
+			),
+			privateKey: ContactMessageEncryptor.toPem(
+				await subtle.exportKey("pkcs8", pair.privateKey),
+				"PRIVATE KEY"
+			),
+			fingerprint: await ContactMessageEncryptor.fingerprint(
+				pair.publicKey
+			),
+		};
+	}
+
+	/**
+	 * Short SHA-256 fingerprint of a public key, shown next to the opt-in
+	 * @param {CryptoKey} publicKey - An extractable public key
+	 * @returns {Promise<string>} e.g. "3f2a 9c01 ..."
+	 */
+	static async fingerprint(publicKey) {
+		const spki = await crypto.subtle.exportKey("spki", publicKey);
+		const digest = new Uint8Array(
+			await crypto.subtle.digest("SHA-256", spki)
+		);
+
+		return Array.from(digest.subarray(0, 16))
+			.map((byte) => byte.toString(16).padStart(2, "0"))
+			.join("")
+			.match(/.{4}/g)
+			.join(" ");
+	}
+
+	/**
+	 * Decide the scheme from the configuration or the key itself
+	 * @param {string} [algorithm] - Configured algorithm
+	 * @param {Object|null} jwk - Parsed JWK
+	 * @param {string} pem - PEM text
+	 * @returns {string} "RSA-OAEP" or "ECDH"
+	 */
+	static detectScheme(algorithm, jwk, pem) {
+		if (algorithm) {
+			return /^ec/i.test(algorithm) ? "ECDH" : "RSA-OAEP";
+		}
+
+		if (jwk) {
+			return jwk.kty === "EC" ? "ECDH" : "RSA-OAEP";
+		}
+
+		// The DER of RSA keys is far longer than that of P-256 keys
+		return ContactMessageEncryptor.fromPem(pem).byteLength > 200
+			? "RSA-OAEP"
+			: "ECDH";
+	}
+
+	static parseJwk(key) {
+		if (key && typeof key === "object") {
+			return key;
+		}
+
+		const text = String(key || "").trim();
+		return text.startsWith("{") ? JSON.parse(text) : null;
+	}
+
+	/**
+	 * Format an envelope
+	 * @param {Object} headers - Envelope headers
+	 * @param {ArrayBuffer} ciphertext - The ciphertext
+	 * @returns {string} The armored text
+	 */
+	static formatArmor(headers, ciphertext) {
+		const { begin, end } = ContactMessageEncryptor.armor;
+		const body =
+			ContactMessageEncryptor.toBase64(ciphertext).match(/.{1,64}/g);
+
+		return [
+			begin,
+			...Object.entries(headers).map(
+				([name, value]) => `${name}: ${value}`
+			),
+			"",
+			...body,
+			end,
+		].join("\n");
+	}
+
+	/**
+	 * Parse an envelope, tolerating the line wrapping and quoting mail clients add
+	 * @param {string} text - Text containing the envelope
+	 * @returns {{headers: Object, body: string}} Headers and base64 body
+	 */
+	static parseArmor(text) {
+		const { begin, end } = ContactMessageEncryptor.armor;
+		const start = text.indexOf(begin);
+		const stop = text.indexOf(end, start);
+
+		if (start === -1 || stop === -1) {
+			throw new Error("No encrypted contact message found");
+		}
+
+		const lines = text
+			.slice(start + begin.length, stop)
+			.split(/\r?\n/)
+			.map((line) => line.replace(/^[>\s]+/, "").trim());
+		const headers = {};
+		let index = 0;
+
+		for (; index < lines.length; index++) {
+			const match = lines[index].match(/^([A-Za-z]+):\s*(.*)$/);
+			if (match) {
+				headers[match[1]] = match[2];
+			} else if (Object.keys(headers).length > 0) {
+				// A blank line, or the body itself when a client dropped it
+				break;
+			}
+		}
+
+		return { headers, body: lines.slice(index).join("") };
+	}
+
+	static toPem(der, label) {
+		const body = ContactMessageEncryptor.toBase64(der).match(/.{1,64}/g);
+		return [
+			`-----BEGIN ${label}-----`,
+			...body,
+			`-----END ${label}-----`,
+		].join("\n");
+	}
+
+	static fromPem(pem) {
+		return ContactMessageEncryptor.fromBase64(
+			String(pem || "").replace(/-----[^-]+-----|\s/g, "")
+		);
+	}
+
+	static toBase64(buffer) {
+		const bytes = new Uint8Array(buffer);
+		let binary = "";
+
+		// Chunked so large attachments don't overflow the argument list
+		for (let i = 0; i < bytes.length; i += 0x8000) {
+			binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+		}
+
+		return btoa(binary);
+	}
+
+	static fromBase64(text) {
+		const binary = atob(text);
+		const bytes = new Uint8Array(binary.length);
+
+		for (let i = 0; i < binary.length; i++) {
+			bytes[i] = binary.charCodeAt(i);
+		}
+
+		return bytes;
+	}
+}
+
+ContactMessageEncryptor.armor = {
+	begin: "-----BEGIN ENCRYPTED CONTACT MESSAGE-----",
+	end: "-----END ENCRYPTED CONTACT MESSAGE-----",
+};
+
+// Scheme names written to the envelope, keyed by key algorithm
+ContactMessageEncryptor.schemes = {
+	"RSA-OAEP": "RSA-OAEP-256+A256GCM",
+	ECDH: "ECDH-ES-P256+HKDF-SHA256+A256GCM",
+};
+
+// HKDF info and associated data prefix
+ContactMessageEncryptor.info = "contact-message-v1";
+
+ContactMessageEncryptor.fileExtension = ".asc";
+
+// Fields encrypted by default; the only ones the Contact Worker accepts armored
+ContactMessageEncryptor.encryptedFields = ["message"];
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactMessageEncryptor;
+}
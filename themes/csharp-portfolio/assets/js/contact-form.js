@@ -7,6 +7,27 @@ class ContactFormValidator {
 	constructor(formId) {
 		this.form = document.getElementById(formId);
 		this.isSubmitting = false;
+		this.config = ContactFormValidator.loadConfig();
+		this.providerDefaults = {
+			address: this.config.email,
+			...(this.config.delivery || {}),
+		};
+		this.providers = window.ContactProviders
+			? window.ContactProviders.resolve(
+					this.config.providers,
+					this.providerDefaults
+			  )
+			: [];
+		this.queue =
+			typeof ContactSubmissionQueue !== "undefined" &&
+			ContactSubmissionQueue.isSupported()
+				? new ContactSubmissionQueue()
+				: null;
+
+		// Queued messages can be delivered while the visitor is on any page
+		if (this.queue) {
+			this.initQueueNotifications();
+		}
 
 		if (!this.form) {
 			console.error(`Contact form with ID "${formId}" not found`);
@@ -16,216 +37,501 @@ class ContactFormValidator {
 		this.init();
 	}
 
+	/**
+	 * Read the contact configuration rendered by partials/contact-config.html
+	 * @returns {Object} The parsed configuration, empty when missing or invalid
+	 */
+	static loadConfig() {
+		const configElement = document.getElementById("contact-form-config");
+		if (!configElement) {
+			return {};
+		}
+
+		try {
+			return JSON.parse(configElement.textContent) || {};
+		} catch (error) {
+			console.error("Invalid contact form configuration:", error);
+			return {};
+		}
+	}
+
 	init() {
+		// Validation rules declared in markup or a JSON schema block
+		this.schema = new ContactValidationSchema(
+			this.form,
+			this.config.schema
+		);
+
+		// IDE-style Error List aggregating every field error
+		this.diagnostics =
+			typeof ContactDiagnosticsPanel !== "undefined"
+				? new ContactDiagnosticsPanel(this.form)
+				: null;
+
+		// Shared validation and ARIA rendering (also behind AccessibilityEnhancer)
+		this.engine = new FormValidationEngine(this.form, {
+			schema: this.schema,
+			getValue: (input) => this.getFieldValue(input),
+			check: (input) => this.checkAttachments(input),
+			getCode: (errorClass) =>
+				this.diagnostics
+					? ContactDiagnosticsPanel.getCode(errorClass)
+					: "",
+			onError: (input, diagnostic) => {
+				if (this.diagnostics) {
+					this.diagnostics.set(input.id, diagnostic);
+				}
+			},
+			onClear: (input) => {
+				if (this.diagnostics) {
+					this.diagnostics.remove(input.id);
+				}
+			},
+		});
+		this.engine.init(this.schema.getFields());
+
+		// Bot defenses: honeypot, time-to-submit, challenge token and link heuristic
+		this.spamGuard =
+			typeof ContactSpamGuard !== "undefined"
+				? new ContactSpamGuard(this.form, this.config.spam)
+				: null;
+
+		// Duplicate blocking and per-browser rate limit
+		this.submissionLog =
+			typeof ContactSubmissionLog !== "undefined"
+				? new ContactSubmissionLog(this.config.limits)
+				: null;
+
+		// Draft autosave so long messages survive leaving the page
+		const draftOptions = this.config.draft || {};
+		this.drafts =
+			typeof ContactDraftStore !== "undefined" &&
+			draftOptions.enabled !== false
+				? new ContactDraftStore(
+						this.form,
+						() => this.schema.getFields(),
+						draftOptions
+				  )
+				: null;
+
+		// Optional file attachments with chips and drag-and-drop
+		this.attachments = new Map();
+		if (typeof ContactAttachmentField !== "undefined") {
+			this.form
+				.querySelectorAll("input[type='file'][data-attachments]")
+				.forEach((input) => {
+					this.attachments.set(
+						input.id,
+						new ContactAttachmentField(
+							input,
+							this.config.attachments,
+							(changed) => this.validateField(changed)
+						)
+					);
+				});
+		}
+
+		// Opt-in end-to-end encryption of the message and attachments
+		this.encryption = this.initEncryption();
+
+		// Intent selector with conditional fields, rules and routing
+		const intentSelector = this.form.querySelector(
+			"[data-intent-selector]"
+		);
+		this.intents =
+			typeof ContactIntentRouter !== "undefined" && intentSelector
+				? new ContactIntentRouter(
+						this.form,
+						intentSelector,
+						this.config.intents,
+						{
+							schema: this.schema,
+							onChange: (intent, hiddenFields) => {
+								hiddenFields.forEach((field) =>
+									this.clearFieldError(field)
+								);
+							},
+						}
+				  )
+				: null;
+
 		// Add event listeners
 		this.form.addEventListener("submit", this.handleSubmit.bind(this));
 		this.form.addEventListener("reset", this.handleReset.bind(this));
 
 		// Add real-time validation
-		const inputs = this.form.querySelectorAll("input, textarea");
-		inputs.forEach((input) => {
-			input.addEventListener("blur", () => this.validateField(input));
+		this.schema.getFields().forEach((input) => {
+			input.addEventListener("blur", () => {
+				if (this.validateField(input)) {
+					this.runCustomValidators(input);
+				}
+			});
 			input.addEventListener("input", () => this.clearFieldError(input));
 		});
 	}
 
-	handleSubmit(event) {
+	/**
+	 * Wire the "encrypt message" opt-in (`[data-encrypt-toggle]`), hiding it when
+	 * no public key is configured or the browser can't encrypt
+	 * @returns {{toggle: HTMLInputElement, encryptor: ContactMessageEncryptor, update: Function}|null} The encryption state
+	 */
+	initEncryption() {
+		const toggle = this.form.querySelector("[data-encrypt-toggle]");
+		if (!toggle) {
+			return null;
+		}
+
+		const options = this.config.encryption || {};
+		const group = toggle.closest("[data-encryption]") || toggle;
+		const disable = () => {
+			toggle.checked = false;
+			toggle.disabled = true;
+			group.hidden = true;
+		};
+
+		if (
+			typeof ContactMessageEncryptor === "undefined" ||
+			!ContactMessageEncryptor.isSupported() ||
+			!options.publickey
+		) {
+			disable();
+			return null;
+		}
+
+		const encryptor = new ContactMessageEncryptor(options);
+		const fingerprintElement = group.querySelector(
+			"[data-encryption-fingerprint]"
+		);
+
+		// Show the key fingerprint so visitors can compare it with a published one
+		encryptor
+			.getRecipient()
+			.then(({ fingerprint }) => {
+				if (fingerprintElement) {
+					fingerprintElement.textContent = window.i18n.t(
+						"contact.encryption.fingerprint",
+						{ fingerprint }
+					);
+				}
+			})
+			.catch((error) => {
+				console.warn("Invalid contact encryption key:", error);
+				disable();
+			});
+
+		// Encrypted messages aren't kept as plaintext drafts
+		const update = () => {
+			if (this.drafts) {
+				this.drafts.pause(toggle.checked);
+			}
+		};
+		if (options.default === true) {
+			toggle.defaultChecked = true;
+			toggle.checked = true;
+		}
+		toggle.addEventListener("change", update);
+		update();
+
+		return { toggle, encryptor, update };
+	}
+
+	/**
+	 * Check whether the visitor opted in to encryption
+	 * @returns {boolean} True when the message will be encrypted
+	 */
+	isEncrypting() {
+		return (
+			!!this.encryption &&
+			this.encryption.toggle.checked &&
+			!this.encryption.toggle.disabled
+		);
+	}
+
+	async handleSubmit(event) {
 		event.preventDefault();
 
 		if (this.isSubmitting) {
 			return;
 		}
 
-		const isValid = this.validateForm();
+		this.isSubmitting = true;
 
-		if (isValid) {
-			this.submitForm();
-		} else {
-			this.showFormStatus(
-				"Please fix the validation errors above.",
-				"error"
-			);
+		// Anything that throws before or while sending must not leave the form locked
+		try {
+			// Form-level diagnostics belong to the previous attempt
+			if (this.diagnostics) {
+				this.diagnostics.clearFormLevel();
+			}
+
+			const isValid = await this.validateForm();
+
+			if (!isValid) {
+				this.showFormStatus(
+					window.i18n.t("contact.status.invalid"),
+					"error",
+					{ announce: true }
+				);
+
+				// The focused field reads out its error through aria-describedby
+				this.engine.focusFirstInvalid();
+				return;
+			}
+
+			const data = this.getFormValues();
+			const verdict = this.spamGuard
+				? await this.spamGuard.check(data)
+				: { rejections: [], fields: {} };
+
+			if (verdict.rejections.length > 0) {
+				this.showRejections(verdict.rejections);
+				return;
+			}
+
+			// Identical messages and too many messages are blocked before sending
+			const submission = this.submissionLog
+				? await this.submissionLog.describe(
+						this.spamGuard ? this.spamGuard.strip(data) : data,
+						this.getAttachments()
+				  )
+				: null;
+			const limits = submission
+				? this.submissionLog.check(submission.contentHash)
+				: [];
+
+			if (limits.length > 0) {
+				this.showRejections(limits);
+				return;
+			}
+
+			await this.submitForm(verdict.fields, submission);
+		} catch (error) {
+			console.error("Form submission error:", error);
+			this.showSubmissionResult({ status: "failed", failures: [] });
+		} finally {
+			this.isSubmitting = false;
 		}
 	}
 
 	handleReset(event) {
-		// Clear all error messages
-		const errorMessages = this.form.querySelectorAll(".error-message");
-		errorMessages.forEach((error) => {
-			error.textContent = "";
-			error.classList.remove("show");
-		});
+		// Clear all error messages, validity styles and ARIA states
+		this.engine.clearAll();
+
+		if (this.diagnostics) {
+			this.diagnostics.clear();
+		}
 
 		// Clear form status
 		this.hideFormStatus();
 
-		// Reset form styling
-		const inputs = this.form.querySelectorAll("input, textarea");
-		inputs.forEach((input) => {
-			input.classList.remove("error", "valid");
-		});
-	}
+		// Discard the saved draft
+		if (this.drafts) {
+			this.drafts.clear();
+		}
 
-	validateForm() {
-		const fields = [
-			{ id: "name", required: true, minLength: 2 },
-			{ id: "email", required: true, type: "email" },
-			{ id: "subject", required: true, minLength: 5 },
-			{ id: "message", required: true, minLength: 10 },
-		];
+		// Restart the time-to-submit clock and challenge
+		if (this.spamGuard) {
+			this.spamGuard.reset();
+		}
 
-		let isValid = true;
+		// Remove attached files
+		this.attachments.forEach((field) => field.clear());
 
-		fields.forEach((field) => {
-			const input = this.form.querySelector(`#${field.id}`);
-			if (!this.validateField(input, field)) {
-				isValid = false;
-			}
-		});
+		// The opt-in returns to its default only after the reset event
+		if (this.encryption) {
+			setTimeout(() => this.encryption.update());
+		}
+	}
+
+	/**
+	 * Validate every field declared by the schema, including async validators
+	 * @returns {Promise<boolean>} True when the whole form is valid
+	 */
+	async validateForm() {
+		const fields = this.schema.getFields();
 
-		return isValid;
+		const results = await Promise.all(
+			fields.map(async (input) => {
+				const rules = this.getFieldRules(input);
+				if (!this.validateField(input, rules)) {
+					return false;
+				}
+				return this.runCustomValidators(input, rules);
+			})
+		);
+
+		return results.every(Boolean);
 	}
 
 	validateField(input, rules = null) {
-		if (!input) return true;
+		// Disabled fields belong to another intent
+		if (!input || input.disabled) return true;
 
-		const value = input.value.trim();
-		const fieldName = input.name || input.id;
-		const errorElement = this.form.querySelector(`#${input.id}-error`);
+		return this.engine.validateField(
+			input,
+			rules || this.getFieldRules(input)
+		);
+	}
 
-		if (!errorElement) return true;
+	/**
+	 * Value checked by the rules; attachment fields are checked by file names
+	 * @param {HTMLElement} input - The field
+	 * @returns {string} The value
+	 */
+	getFieldValue(input) {
+		const attachmentField = this.attachments.get(input.id);
 
-		// Clear previous errors
-		this.clearFieldError(input);
+		return attachmentField
+			? attachmentField.files.map((file) => file.name).join(", ")
+			: input.value.trim();
+	}
 
-		// Get validation rules
-		if (!rules) {
-			rules = this.getFieldRules(input);
-		}
+	/**
+	 * Attachment count, type, size and total payload limits
+	 * @param {HTMLElement} input - The field
+	 * @returns {{message: string, errorClass: string}|null} The error, or null
+	 */
+	checkAttachments(input) {
+		const attachmentField = this.attachments.get(input.id);
+		const message = attachmentField
+			? attachmentField.validate(this.getTextPayloadSize())
+			: null;
 
-		// Required field validation
-		if (rules.required && !value) {
-			this.showFieldError(
-				input,
-				errorElement,
-				`${this.capitalize(fieldName)} is required`,
-				"required-error"
-			);
-			return false;
-		}
+		return message ? { message, errorClass: "attachment-error" } : null;
+	}
 
-		// Skip other validations if field is empty and not required
-		if (!value && !rules.required) {
+	/**
+	 * Run registered custom validators (sync or async) for a field
+	 * @param {HTMLElement} input - The field
+	 * @param {Object} [rules] - Rules from the schema
+	 * @returns {Promise<boolean>} True when every validator passes
+	 */
+	async runCustomValidators(input, rules = null) {
+		if (input.disabled) {
 			return true;
 		}
 
-		// Email validation
-		if (rules.type === "email" && !this.isValidEmail(value)) {
-			this.showFieldError(
-				input,
-				errorElement,
-				`Invalid email format`,
-				"email-error"
-			);
-			return false;
-		}
+		rules = rules || this.getFieldRules(input);
 
-		// Minimum length validation
-		if (rules.minLength && value.length < rules.minLength) {
-			this.showFieldError(
-				input,
-				errorElement,
-				`${this.capitalize(fieldName)} must be at least ${
-					rules.minLength
-				} characters`,
-				"length-error"
-			);
-			return false;
-		}
+		const value = input.value.trim();
 
-		// Maximum length validation
-		if (rules.maxLength && value.length > rules.maxLength) {
-			this.showFieldError(
-				input,
-				errorElement,
-				`${this.capitalize(fieldName)} must be no more than ${
-					rules.maxLength
-				} characters`,
-				"length-error"
-			);
-			return false;
+		if (
+			!value ||
+			!this.engine.getErrorElement(input) ||
+			rules.validators.length === 0
+		) {
+			return true;
 		}
 
-		// Field is valid
-		input.classList.add("valid");
-		return true;
-	}
-
-	getFieldRules(input) {
-		const rules = {
-			required: input.hasAttribute("required"),
-			type: input.type,
-			minLength: parseInt(input.getAttribute("minlength")) || null,
-			maxLength: parseInt(input.getAttribute("maxlength")) || null,
+		const context = {
+			input,
+			form: this.form,
+			rules,
+			config: this.config,
+			values: this.getFormValues(),
 		};
 
-		// Default rules based on field name/id
-		switch (input.id) {
-			case "name":
-				rules.minLength = rules.minLength || 2;
-				rules.maxLength = rules.maxLength || 100;
-				break;
-			case "subject":
-				rules.minLength = rules.minLength || 5;
-				rules.maxLength = rules.maxLength || 200;
-				break;
-			case "message":
-				rules.minLength = rules.minLength || 10;
-				rules.maxLength = rules.maxLength || 2000;
-				break;
-		}
-
-		return rules;
-	}
+		for (const name of rules.validators) {
+			const validator = ContactValidationSchema.getValidator(name);
+			if (!validator) {
+				console.warn(`Unknown validator: ${name}`);
+				continue;
+			}
 
-	showFieldError(input, errorElement, message, errorClass = "") {
-		input.classList.add("error");
-		input.classList.remove("valid");
+			let message = null;
+			try {
+				message = await validator(value, context);
+			} catch (error) {
+				console.warn(`Validator "${name}" failed:`, error);
+			}
 
-		errorElement.textContent = message;
-		errorElement.classList.add("show");
+			// Ignore stale results if the visitor kept typing
+			if (input.value.trim() !== value) {
+				return false;
+			}
 
-		if (errorClass) {
-			errorElement.classList.add(errorClass);
+			if (message) {
+				this.engine.showError(input, message, "format-error");
+				return false;
+			}
 		}
+
+		return true;
+	}
+
+	getFieldRules(input) {
+		return this.schema.getRules(input);
 	}
 
 	clearFieldError(input) {
-		const errorElement = this.form.querySelector(`#${input.id}-error`);
-
-		if (errorElement) {
-			errorElement.textContent = "";
-			errorElement.classList.remove(
-				"show",
-				"required-error",
-				"email-error",
-				"length-error"
-			);
-		}
+		this.engine.clearError(input);
+	}
 
-		input.classList.remove("error");
+	/**
+	 * Get the text values of the form; attached files are collected separately
+	 * @returns {Object} Values keyed by field name
+	 */
+	getFormValues() {
+		return Object.fromEntries(
+			Array.from(new FormData(this.form).entries()).filter(
+				([, value]) => typeof value === "string"
+			)
+		);
 	}
 
-	isValidEmail(email) {
-		const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-		return emailRegex.test(email);
+	/**
+	 * Get the files attached to every attachment field
+	 * @returns {Array<{field: string, file: File}>} Attached files
+	 */
+	getAttachments() {
+		return Array.from(this.attachments.values()).flatMap((field) =>
+			field.getAttachments()
+		);
 	}
 
-	capitalize(str) {
-		return str.charAt(0).toUpperCase() + str.slice(1);
+	/**
+	 * Size of the text fields in bytes, counted in the attachment payload limit
+	 * @returns {number} Encoded size in bytes
+	 */
+	getTextPayloadSize() {
+		return new Blob([JSON.stringify(this.getFormValues())]).size;
 	}
 
-	async submitForm() {
+	/**
+	 * Report spam check, duplicate and rate limit rejections as compiler-style errors
+	 * @param {Array<Object>} rejections - Rejections from ContactSpamGuard.check or ContactSubmissionLog.check
+	 */
+	showRejections(rejections) {
+		rejections.forEach((rejection) => {
+			const input = rejection.field
+				? this.form.querySelector(`#${rejection.field}`)
+				: null;
+
+			if (input && this.engine.getErrorElement(input)) {
+				this.engine.showError(input, rejection.message, "spam-error", {
+					code: rejection.code,
+					severity: rejection.severity,
+				});
+			} else if (this.diagnostics) {
+				this.diagnostics.set(rejection.code, {
+					code: rejection.code,
+					severity: rejection.severity,
+					message: rejection.message,
+				});
+			}
+		});
+
+		this.showFormStatus(
+			rejections.map((r) => `${r.code}: ${r.message}`).join(" "),
+			"error"
+		);
+	}
+
+	/**
+	 * Send the form
+	 * @param {Object} [extraFields] - Extra fields such as challenge tokens
+	 * @param {Object} [submission] - Content hash and idempotency key from ContactSubmissionLog
+	 */
+	async submitForm(extraFields = {}, submission = null) {
 		this.isSubmitting = true;
 		const submitButton = this.form.querySelector(".contact-submit-btn");
 		const originalText = submitButton.innerHTML;
@@ -239,111 +545,611 @@ class ContactFormValidator {
         `;
 
 		// Show loading status
-		this.showFormStatus("Sending your message...", "loading");
+		this.form.setAttribute("aria-busy", "true");
+		this.showFormStatus(window.i18n.t("contact.status.sending"), "loading");
 
 		try {
-			// Get form data
-			const formData = new FormData(this.form);
-			const data = Object.fromEntries(formData.entries());
+			// Get form data, without spam guard fields, plus challenge tokens
+			let data = this.getFormValues();
+			if (this.spamGuard) {
+				data = this.spamGuard.strip(data);
+			}
+			Object.assign(data, extraFields);
+
+			// Subject prefix of the selected intent
+			if (this.intents) {
+				data = this.intents.apply(data);
+			}
+
+			// Snapshot the draft before the form is reset
+			const encrypting = this.isEncrypting();
+			const draftValues =
+				this.drafts && !encrypting ? this.drafts.collectValues() : null;
+
+			// Encrypt last, so the readable fields above still route the message
+			let attachments = this.getAttachments();
+			if (encrypting) {
+				this.showFormStatus(
+					window.i18n.t("contact.status.encrypting"),
+					"loading"
+				);
+
+				try {
+					({ data, attachments } =
+						await this.encryption.encryptor.encryptSubmission(
+							data,
+							attachments
+						));
+				} catch (error) {
+					// Never fall back to sending the plaintext
+					console.error("Message encryption failed:", error);
+					this.showFormStatus(
+						window.i18n.t("contact.result.encryptionFailed"),
+						"error",
+						{ announce: true }
+					);
+					return;
+				}
+			}
 
 			// Submit form data to configured services
-			const result = await this.submitFormData(data);
+			const result = await this.submitFormData(data, attachments, {
+				idempotencyKey: submission && submission.idempotencyKey,
+				onProgress: (progress) => this.showSubmissionProgress(progress),
+			});
 
-			// Show success message
-			this.showFormStatus(
-				"Message sent successfully! I'll get back to you soon.",
-				"success"
-			);
+			// Count messages that left the page towards the duplicate and rate limits
+			if (
+				this.submissionLog &&
+				submission &&
+				["delivered", "queued"].includes(result.status)
+			) {
+				this.submissionLog.record(submission.contentHash);
+			}
+
+			if (!["failed", "rejected"].includes(result.status)) {
+				// Reset form once the message has left the page (this also clears the status and draft)
+				this.form.reset();
+			}
+
+			// Opening a mail client delivers nothing yet, so keep the text recoverable
+			if (draftValues && result.status === "handed-off") {
+				this.drafts.save(draftValues);
+			}
 
-			// Reset form after successful submission
-			this.form.reset();
-			this.handleReset();
+			this.showSubmissionResult(result);
 		} catch (error) {
 			console.error("Form submission error:", error);
-			this.showFormStatus(
-				"Failed to send message. Please try again or contact me directly.",
-				"error"
-			);
+			this.showSubmissionResult({ status: "failed", failures: [] });
 		} finally {
 			// Reset button state
 			this.isSubmitting = false;
+			this.form.removeAttribute("aria-busy");
 			submitButton.disabled = false;
 			submitButton.innerHTML = originalText;
 		}
 	}
 
-	async submitFormData(data) {
-		// Try multiple form submission services
-		const services = [
-			{
-				name: 'Formspree',
-				endpoint: 'https://formspree.io/f/YOUR_FORM_ID',
-				method: 'POST'
-			},
-			{
-				name: 'Netlify Forms',
-				endpoint: window.location.href,
-				method: 'POST'
+	/**
+	 * Report which provider is being tried, and when the next retry happens
+	 * @param {Object} progress - Progress from submitFormData
+	 */
+	showSubmissionProgress({ service, attempt, maxAttempts, retryIn }) {
+		const params = { service, attempt, total: maxAttempts };
+
+		if (retryIn) {
+			this.showFormStatus(
+				window.i18n.t("contact.status.retrying", {
+					...params,
+					seconds: Math.ceil(retryIn / 1000),
+				}),
+				"loading"
+			);
+		} else {
+			this.showFormStatus(
+				window.i18n.t(
+					maxAttempts > 1
+						? "contact.status.sendingAttempt"
+						: "contact.status.sendingVia",
+					params
+				),
+				"loading"
+			);
+		}
+	}
+
+	/**
+	 * Show an accurate status for a submission result
+	 * @param {Object} result - Result from submitFormData
+	 */
+	showSubmissionResult(result) {
+		const t = (key, params) => window.i18n.t(key, params);
+		let message;
+		let type;
+
+		switch (result.status) {
+			case "delivered":
+				message = result.downgraded
+					? t("contact.result.deliveredWithoutAttachments", {
+							service: result.service,
+					  })
+					: t("contact.result.delivered");
+				type = result.downgraded ? "warning" : "success";
+				break;
+
+			case "handed-off":
+				message = t("contact.result.handedOff");
+				if (result.downgraded) {
+					message += ` ${t("contact.result.handedOffAttachments")}`;
+				}
+				type = "handed-off";
+				break;
+
+			case "queued":
+				message = t("contact.result.queued");
+				type = "queued";
+				break;
+
+			case "rejected":
+				// Server-side validation and spam errors, mapped back onto the fields
+				this.showRejections(this.translateServerErrors(result.errors));
+				this.announce(t("contact.result.rejected", result));
+				this.engine.focusFirstInvalid();
+				return;
+
+			default: {
+				const reasons = (result.failures || [])
+					.map((failure) => `${failure.service}: ${failure.reason}`)
+					.join("; ");
+				message = reasons
+					? t("contact.result.failedWithReasons", { reasons })
+					: t("contact.result.failed");
+				type = "error";
+			}
+		}
+
+		this.showFormStatus(message, type, { announce: true });
+	}
+
+	/**
+	 * Turn errors returned by an endpoint such as the contact Worker into rejections
+	 * @param {Array<Object>} errors - { field, code, severity, key, params, message }
+	 * @returns {Array<Object>} Rejections with translated messages
+	 */
+	translateServerErrors(errors) {
+		return errors.map((error) => {
+			const input = error.field
+				? this.form.querySelector(`#${error.field}`)
+				: null;
+			const params = { ...error.params };
+
+			// The server only knows field names, the page knows the labels
+			if (input && params.field) {
+				params.field = this.engine.getFieldLabel(input);
+			}
+
+			return {
+				code: error.code,
+				field: error.field,
+				severity: error.severity,
+				message: error.key
+					? window.i18n.t(error.key, params)
+					: error.message,
+			};
+		});
+	}
+
+	/**
+	 * Deliver a submission through the configured providers
+	 * @param {Object} data - Text values
+	 * @param {Array<{field: string, file: File}>} [attachments] - Attached files
+	 * @param {Object} [options] - Submission options
+	 * @param {string} [options.idempotencyKey] - Key forwarded to providers that support it
+	 * @param {Function} [options.onProgress] - ({ service, attempt, maxAttempts, retryIn }) => void
+	 * @returns {Promise<Object>} Result whose `status` is "delivered", "handed-off"
+	 * (opened in the visitor's mail client), "queued", "rejected" (the endpoint refused
+	 * the content, `errors` lists the fields) or "failed". `downgraded` is true
+	 * when the files were dropped because that provider can't accept them, and
+	 * `failures` lists why each network provider failed.
+	 */
+	async submitFormData(
+		data,
+		attachments = [],
+		{ idempotencyKey = null, onProgress = () => {} } = {}
+	) {
+		const isDowngraded = (provider) =>
+			attachments.length > 0 && !provider.attachments;
+		const providers = this.getProviders();
+		const networkProviders = providers.filter(
+			({ provider }) => typeof provider.submit !== "function"
+		);
+		const fallbackProviders = providers.filter(
+			({ provider }) => typeof provider.submit === "function"
+		);
+		const failures = [];
+		let isQueueable = true;
+
+		// Try each network provider in order until one delivers
+		if (navigator.onLine !== false) {
+			for (const { provider, options } of networkProviders) {
+				const endpoint = provider.getEndpoint(options);
+				if (!endpoint) {
+					console.warn(`${provider.name} has no endpoint configured`);
+					continue;
+				}
+
+				try {
+					const attempts = await this.deliverWithRetry(
+						provider,
+						options,
+						endpoint,
+						this.encodeRequest(
+							provider,
+							options,
+							data,
+							attachments,
+							idempotencyKey
+						),
+						onProgress
+					);
+
+					return {
+						status: "delivered",
+						service: provider.name,
+						attempts,
+						downgraded: isDowngraded(provider),
+					};
+				} catch (error) {
+					// Rejected content fails the same way everywhere, so don't fall back
+					if (error.errors && error.errors.length > 0) {
+						return {
+							status: "rejected",
+							service: provider.name,
+							errors: error.errors,
+						};
+					}
+
+					console.warn(`${provider.name} failed:`, error);
+					failures.push({
+						service: provider.name,
+						reason: error.message,
+					});
+					isQueueable = isQueueable && error.transient === true;
+				}
 			}
-		];
+		}
 
-		// For Netlify Forms, add form-name to data
-		if (window.location.hostname.includes('netlify')) {
-			data['form-name'] = 'contact';
+		// Offline, or every provider failed in a way a later replay may get past:
+		// queue for replay by the service worker
+		if (this.queue && (navigator.onLine === false || isQueueable)) {
+			const requests = this.buildQueuedRequests(
+				data,
+				attachments,
+				idempotencyKey
+			);
+
+			if (requests.length > 0) {
+				try {
+					await this.queue.enqueue({
+						requests,
+						subject: data.subject,
+					});
+					return { status: "queued", service: "queue", failures };
+				} catch (error) {
+					console.warn("Failed to queue submission:", error);
+				}
+			}
 		}
 
-		// Try each service until one works
-		for (const service of services) {
+		// Last resort providers such as mailto
+		for (const { provider, options } of fallbackProviders) {
 			try {
-				const response = await fetch(service.endpoint, {
-					method: service.method,
-					headers: {
-						'Content-Type': 'application/json',
-						'Accept': 'application/json'
+				const result = await provider.submit(data, options);
+				if (result && result.status !== "failed") {
+					return {
+						...result,
+						downgraded: isDowngraded(provider),
+						failures,
+					};
+				}
+			} catch (error) {
+				console.warn(`${provider.name} failed:`, error);
+			}
+		}
+
+		return { status: "failed", service: null, failures };
+	}
+
+	/**
+	 * Get the providers for the selected intent, or the site-wide providers
+	 * @returns {Array<{provider: Object, options: Object}>} Active providers in order
+	 */
+	getProviders() {
+		const intent = this.intents ? this.intents.current() : null;
+
+		if (intent && intent.providers && window.ContactProviders) {
+			return window.ContactProviders.resolve(
+				intent.providers,
+				this.providerDefaults
+			);
+		}
+
+		return this.providers;
+	}
+
+	/**
+	 * Encode a request for a provider, forwarding the idempotency key as an
+	 * `Idempotency-Key` header or an `_idempotency_key` field as the provider allows
+	 * @param {Object} provider - The provider
+	 * @param {Object} options - Provider options (`idempotency` overrides the provider's mode)
+	 * @param {Object} data - Text values
+	 * @param {Array<Object>} attachments - Attached files
+	 * @param {string|null} idempotencyKey - The key
+	 * @returns {{body: *, headers: Object}} Encoded request
+	 */
+	encodeRequest(provider, options, data, attachments, idempotencyKey) {
+		const mode = idempotencyKey
+			? options.idempotency || provider.idempotency || "none"
+			: "none";
+
+		const request = provider.encode(
+			mode === "field"
+				? { ...data, _idempotency_key: idempotencyKey }
+				: data,
+			options,
+			attachments
+		);
+
+		if (mode === "header") {
+			request.headers = {
+				...request.headers,
+				"Idempotency-Key": idempotencyKey,
+			};
+		}
+
+		return request;
+	}
+
+	/**
+	 * Send one encoded request, retrying network errors, timeouts, 429 and 5xx
+	 * responses with exponential backoff
+	 * @param {Object} provider - The provider
+	 * @param {Object} options - Provider options (`timeout`, `retries`, `retrydelay`, `maxretrydelay`)
+	 * @param {string} endpoint - URL to submit to
+	 * @param {{body: *, headers: Object}} request - Encoded request
+	 * @param {Function} onProgress - Progress callback
+	 * @returns {Promise<number>} The number of attempts it took; the error thrown
+	 * after the last attempt has `transient` set when queueing it may still help
+	 */
+	async deliverWithRetry(provider, options, endpoint, request, onProgress) {
+		const timeout = options.timeout || 10000;
+		const maxAttempts =
+			1 + (Number.isInteger(options.retries) ? options.retries : 2);
+		let lastError = null;
+
+		for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+			onProgress({ service: provider.name, attempt, maxAttempts });
+
+			let response = null;
+			try {
+				response = await this.fetchWithTimeout(
+					endpoint,
+					{
+						method: options.method || "POST",
+						headers: request.headers,
+						body: request.body,
 					},
-					body: JSON.stringify(data)
-				});
+					timeout
+				);
+			} catch (error) {
+				// Network errors and timeouts
+				lastError = error;
+				lastError.transient = true;
+			}
 
-				if (response.ok) {
-					return { success: true, service: service.name };
+			if (response) {
+				if (await provider.isSuccess(response)) {
+					return attempt;
+				}
+
+				lastError = new Error(`HTTP ${response.status}`);
+				lastError.transient = this.isTransient(provider, response);
+				if (!this.isRetryable(response)) {
+					// Endpoints such as the contact Worker say which fields they rejected
+					if (typeof provider.getErrors === "function") {
+						lastError.errors = await provider.getErrors(response);
+					}
+					throw lastError;
 				}
-			} catch (error) {
-				console.warn(`${service.name} failed:`, error);
-				continue;
+			}
+
+			if (attempt < maxAttempts) {
+				const retryIn = this.getRetryDelay(attempt, options, response);
+				onProgress({
+					service: provider.name,
+					attempt: attempt + 1,
+					maxAttempts,
+					retryIn,
+				});
+				await new Promise((resolve) => setTimeout(resolve, retryIn));
 			}
 		}
 
-		// If all services fail, fallback to mailto
-		this.fallbackToMailto(data);
-		return { success: true, service: 'mailto' };
+		throw lastError;
 	}
 
-	fallbackToMailto(data) {
-		const subject = encodeURIComponent(data.subject || 'Contact Form Submission');
-		const body = encodeURIComponent(
-			`Name: ${data.name}\nEmail: ${data.email}\n\nMessage:\n${data.message}`
+	/**
+	 * fetch() that aborts after a timeout
+	 * @param {string} url - Request URL
+	 * @param {Object} init - fetch options
+	 * @param {number} timeout - Timeout in milliseconds
+	 * @returns {Promise<Response>} The response
+	 */
+	async fetchWithTimeout(url, init, timeout) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeout);
+
+		try {
+			return await fetch(url, { ...init, signal: controller.signal });
+		} catch (error) {
+			if (error.name === "AbortError") {
+				throw new Error(`timed out after ${timeout / 1000}s`);
+			}
+			throw error;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	/**
+	 * Whether a failed response is worth retrying
+	 * @param {Response} response - The response
+	 * @returns {boolean} True for rate limiting, server errors and a conflict
+	 * with a request still sending the same idempotency key
+	 */
+	isRetryable(response) {
+		return (
+			response.status === 409 ||
+			response.status === 429 ||
+			response.status >= 500
 		);
-		const mailtoLink = `mailto:sadaruwan12@gmail.com?subject=${subject}&body=${body}`;
-		
-		// Open mailto link
-		window.location.href = mailtoLink;
 	}
 
-	showFormStatus(message, type) {
-		const statusElement = this.form.querySelector("#formStatus");
+	/**
+	 * Whether a failed response may pass once the server recovers: a 5xx that
+	 * isn't the endpoint's own answer, such as a gateway error
+	 * @param {Object} provider - The provider
+	 * @param {Response} response - The response
+	 * @returns {boolean} True when a later replay may be delivered
+	 */
+	isTransient(provider, response) {
+		if (response.status < 500) {
+			return false;
+		}
+
+		// Endpoints such as the contact Worker answer in JSON when they refuse
+		const type = response.headers.get("Content-Type") || "";
+		return !(
+			typeof provider.getErrors === "function" &&
+			type.includes("application/json")
+		);
+	}
+
+	/**
+	 * Backoff before the next attempt: Retry-After when the server sends it,
+	 * otherwise retrydelay * 2^(attempt - 1), both capped at maxretrydelay
+	 * @param {number} attempt - The attempt that just failed (1-based)
+	 * @param {Object} options - Provider options
+	 * @param {Response|null} response - The failed response, if any
+	 * @returns {number} Delay in milliseconds
+	 */
+	getRetryDelay(attempt, options, response) {
+		const baseDelay = options.retrydelay || 1000;
+		const maxDelay = options.maxretrydelay || 8000;
+		const retryAfter = response
+			? parseInt(response.headers.get("Retry-After"))
+			: NaN;
+
+		const delay = Number.isNaN(retryAfter)
+			? baseDelay * 2 ** (attempt - 1)
+			: retryAfter * 1000;
 
-		if (statusElement) {
-			statusElement.textContent = message;
-			statusElement.className = `form-status show ${type}`;
+		return Math.min(delay, maxDelay);
+	}
+
+	/**
+	 * Pre-encode the submission for every network provider so it can be replayed later
+	 * @param {Object} data - Form data
+	 * @param {Array<{field: string, file: File}>} [attachments] - Attached files
+	 * @param {string|null} [idempotencyKey] - Key forwarded to providers that support it
+	 * @returns {Array<Object>} Serializable requests in provider order
+	 */
+	buildQueuedRequests(data, attachments = [], idempotencyKey = null) {
+		const requests = [];
+
+		this.getProviders().forEach(({ provider, options }) => {
+			if (typeof provider.submit === "function") {
+				return;
+			}
+
+			const endpoint = provider.getEndpoint(options);
+			if (!endpoint) {
+				return;
+			}
+
+			const { body, headers } = this.encodeRequest(
+				provider,
+				options,
+				data,
+				attachments,
+				idempotencyKey
+			);
+			const multipart = body instanceof FormData;
+
+			requests.push({
+				service: provider.name,
+				endpoint: new URL(endpoint, window.location.href).href,
+				method: options.method || "POST",
+				headers,
+				// FormData isn't cloneable into IndexedDB, its entries (Files included) are
+				body: multipart ? Array.from(body.entries()) : body,
+				multipart,
+				successField: provider.successField || null,
+			});
+		});
+
+		return requests;
+	}
+
+	/**
+	 * Announce queued submissions delivered (or dropped) after the visitor is back online
+	 */
+	initQueueNotifications() {
+		document.addEventListener("contactqueuedelivered", () => {
+			const message = window.i18n.t("contact.queue.delivered");
+			this.showFormStatus(message, "success", { announce: true });
+		});
+
+		document.addEventListener("contactqueuefailed", (event) => {
+			// The endpoint refused the content, so say what it objected to
+			const reasons = this.translateServerErrors(
+				event.detail.errors || []
+			)
+				.map((rejection) => rejection.message)
+				.join("; ");
+			const message = reasons
+				? window.i18n.t("contact.queue.rejected", { reasons })
+				: window.i18n.t("contact.queue.failed");
+			this.showFormStatus(message, "error", { announce: true });
+		});
+	}
+
+	announce(message) {
+		if (window.AccessibilityEnhancer) {
+			window.AccessibilityEnhancer.announceToScreenReader(message);
 		}
 	}
 
-	hideFormStatus() {
-		const statusElement = this.form.querySelector("#formStatus");
+	/**
+	 * Show the form status; queue notifications may arrive on pages without the form
+	 * @param {string} message - The message
+	 * @param {string} type - Status type
+	 * @param {Object} [options] - Options
+	 * @param {boolean} [options.announce] - Also announce the message to screen readers
+	 */
+	showFormStatus(message, type, { announce = false } = {}) {
+		if (this.engine) {
+			this.engine.showStatus(message, type);
+		}
 
-		if (statusElement) {
-			statusElement.textContent = "";
-			statusElement.className = "form-status";
+		if (announce) {
+			this.announce(message);
+		}
+	}
+
+	hideFormStatus() {
+		if (this.engine) {
+			this.engine.hideStatus();
 		}
 	}
 }
@@ -0,0 +1,157 @@
+/**
+ * Contact Form Intents
+ * Drives the intent selector of the contact form: reveals the field groups
+ * marked with `data-intents`, applies per-intent validation rules to
+ * ContactValidationSchema and supplies the subject prefix and provider
+ * overrides used by ContactFormValidator.
+ */
+
+class ContactIntentRouter {
+	/**
+	 * @param {HTMLFormElement} form - The contact form
+	 * @param {HTMLSelectElement} selector - The intent select
+	 * @param {Array<Object>} intents - `params.contact.intents` from the site configuration
+	 * @param {Object} [options] - Options
+	 * @param {ContactValidationSchema} [options.schema] - Schema receiving the intent rules
+	 * @param {Function} [options.onChange] - (intent, hiddenFields) => void after a switch
+	 */
+	constructor(form, selector, intents, options = {}) {
+		this.form = form;
+		this.selector = selector;
+		this.intents = new Map(
+			(intents || []).map((intent) => [intent.id, intent])
+		);
+		this.schema = options.schema || null;
+		this.onChange = options.onChange || (() => {});
+
+		this.init();
+	}
+
+	init() {
+		this.preselect();
+
+		this.selector.addEventListener("change", () => this.update());
+
+		// Native reset restores the default option after the reset event fires
+		this.form.addEventListener("reset", () => {
+			setTimeout(() => this.update(), 0);
+		});
+
+		this.update();
+	}
+
+	/**
+	 * Preselect from the query string, e.g. /contact/?intent=question&project=deanext
+	 */
+	preselect() {
+		const params = new URLSearchParams(window.location.search);
+		const intent = params.get("intent");
+		const project = params.get("project");
+
+		if (intent && this.intents.has(intent)) {
+			this.selector.value = intent;
+		}
+
+		if (project) {
+			const option = this.form.querySelector(
+				`option[data-slug="${CSS.escape(project)}"]`
+			);
+			if (option) {
+				option.selected = true;
+			}
+		}
+	}
+
+	/**
+	 * Get the selected intent
+	 * @returns {Object|null} The intent definition
+	 */
+	current() {
+		return this.intents.get(this.selector.value) || null;
+	}
+
+	/**
+	 * Show the groups of the selected intent, disable the others and swap rules
+	 */
+	update() {
+		const intent = this.current();
+		const id = intent ? intent.id : "";
+		const hiddenFields = [];
+
+		this.form.querySelectorAll("[data-intents]").forEach((group) => {
+			const visible = group
+				.getAttribute("data-intents")
+				.split(",")
+				.map((item) => item.trim())
+				.includes(id);
+
+			group.hidden = !visible;
+
+			// Disabled fields are left out of FormData and validation
+			group
+				.querySelectorAll("input, textarea, select")
+				.forEach((field) => {
+					field.disabled = !visible;
+					if (!visible) {
+						hiddenFields.push(field);
+					}
+				});
+		});
+
+		if (this.schema) {
+			this.schema.setOverrides((intent && intent.rules) || {});
+		}
+
+		this.form.setAttribute("data-intent", id);
+		this.onChange(intent, hiddenFields);
+	}
+
+	/**
+	 * Prefix the subject with the intent's subject prefix; the subject was
+	 * validated without it
+	 * @param {Object} data - Text values
+	 * @returns {Object} Values with the prefixed subject
+	 */
+	apply(data) {
+		if (!data.subject) {
+			return data;
+		}
+
+		return {
+			...data,
+			subject: ContactIntentRouter.prefixSubject(
+				data.subject,
+				this.current()
+			),
+		};
+	}
+
+	/**
+	 * @param {string} subject - Subject as typed
+	 * @param {Object|null} intent - The intent definition
+	 * @returns {string} The subject with the intent's prefix, if it has one
+	 */
+	static prefixSubject(subject, intent) {
+		const prefix = intent && intent.subjectprefix;
+		return prefix && subject ? `[${prefix}] ${subject}` : subject;
+	}
+
+	/**
+	 * Undo prefixSubject(), so the Contact Worker checks the subject as typed
+	 * @param {string} subject - Submitted subject
+	 * @param {Object|null} intent - The intent definition
+	 * @returns {string} The subject without the intent's prefix
+	 */
+	static unprefixSubject(subject, intent) {
+		const prefix = intent && intent.subjectprefix;
+		const marker = `[${prefix}] `;
+		return prefix && subject.startsWith(marker)
+			? subject.slice(marker.length)
+			: subject;
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactIntentRouter;
+}
@@ -0,0 +1,248 @@
+/**
+ * Contact Submission Providers
+ * Registry of pluggable backends used by ContactFormValidator to deliver messages.
+ * Active providers and their order come from `params.contact.providers` in the
+ * site configuration, rendered into the page by partials/contact-config.html.
+ */
+
+class ContactProviderRegistry {
+	constructor() {
+		this.providers = new Map();
+	}
+
+	/**
+	 * Register a submission provider
+	 * @param {string} type - Provider type referenced from the site configuration
+	 * @param {Object} provider - Provider definition
+	 * @param {string} provider.name - Human readable name used in logs
+	 * @param {Function} [provider.getEndpoint] - (options) => URL to submit to
+	 * @param {Function} [provider.encode] - (data, options, attachments) => { body, headers }
+	 * @param {boolean} [provider.attachments] - Whether encode() sends attachments as multipart/form-data
+	 * @param {string} [provider.idempotency] - How the idempotency key is forwarded: "header", "field" or "none"
+	 * @param {Function} [provider.isSuccess] - (response) => boolean | Promise<boolean>
+	 * @param {string} [provider.successField] - JSON field that must be true when replaying queued requests
+	 * @param {Function} [provider.getErrors] - (response) => Promise<Array<Object>> of field errors
+	 * ({ field, code, key, params, message }) from a rejected (4xx) response
+	 * @param {Function} [provider.submit] - (data, options) => { status, service }, replaces fetch entirely;
+	 * status is "delivered", "handed-off" (to the visitor's mail client) or "failed"
+	 */
+	register(type, provider) {
+		if (!type || !provider || !provider.name) {
+			console.warn("Invalid contact provider registration:", type);
+			return;
+		}
+
+		this.providers.set(type.toLowerCase(), provider);
+	}
+
+	/**
+	 * Get a registered provider by type
+	 * @param {string} type - The provider type
+	 * @returns {Object|null} The provider or null if unknown
+	 */
+	get(type) {
+		return this.providers.get(String(type).toLowerCase()) || null;
+	}
+
+	/**
+	 * Resolve configured provider entries into provider/options pairs
+	 * @param {Array<Object>} entries - Entries from the site configuration
+	 * @param {Object} [defaults] - Options shared by every entry, e.g. the site email
+	 * @returns {Array<{provider: Object, options: Object}>} Active providers in order
+	 */
+	resolve(entries, defaults = {}) {
+		const resolved = [];
+
+		(entries || []).forEach((entry) => {
+			if (!entry || entry.enabled === false) {
+				return;
+			}
+
+			const provider = this.get(entry.type);
+			if (!provider) {
+				console.warn(`Unknown contact provider type: ${entry.type}`);
+				return;
+			}
+
+			resolved.push({ provider, options: { ...defaults, ...entry } });
+		});
+
+		return resolved;
+	}
+}
+
+/**
+ * Encode data as a JSON request body
+ * @param {Object} data - Form data
+ * @returns {{body: string, headers: Object}} Encoded request
+ */
+function encodeContactJson(data) {
+	return {
+		body: JSON.stringify(data),
+		headers: {
+			"Content-Type": "application/json",
+			Accept: "application/json",
+		},
+	};
+}
+
+/**
+ * Encode data as an application/x-www-form-urlencoded request body
+ * @param {Object} data - Form data
+ * @returns {{body: string, headers: Object}} Encoded request
+ */
+function encodeContactUrlEncoded(data) {
+	return {
+		body: new URLSearchParams(data).toString(),
+		headers: {
+			"Content-Type": "application/x-www-form-urlencoded",
+			Accept: "application/json",
+		},
+	};
+}
+
+/**
+ * Encode data and attached files as a multipart/form-data request body
+ * @param {Object} data - Form data
+ * @param {Array<{field: string, file: File}>} attachments - Attached files
+ * @returns {{body: FormData, headers: Object}} Encoded request; the browser sets the boundary
+ */
+function encodeContactMultipart(data, attachments) {
+	const body = new FormData();
+
+	Object.entries(data).forEach(([key, value]) => body.append(key, value));
+	attachments.forEach(({ field, file }) =>
+		body.append(field, file, file.name)
+	);
+
+	return {
+		body,
+		headers: {
+			Accept: "application/json",
+		},
+	};
+}
+
+const contactProviders = new ContactProviderRegistry();
+
+// Formspree: https://formspree.io/f/<formid>
+contactProviders.register("formspree", {
+	name: "Formspree",
+	getEndpoint(options) {
+		if (options.endpoint) {
+			return options.endpoint;
+		}
+		return options.formid
+			? `https://formspree.io/f/${options.formid}`
+			: null;
+	},
+	attachments: true,
+	encode(data, options, attachments = []) {
+		return attachments.length > 0
+			? encodeContactMultipart(data, attachments)
+			: encodeContactJson(data);
+	},
+	isSuccess(response) {
+		return response.ok;
+	},
+});
+
+// Netlify Forms: urlencoded (multipart with files) POST to the page itself with a form-name field
+contactProviders.register("netlify", {
+	name: "Netlify Forms",
+	getEndpoint(options) {
+		return options.endpoint || window.location.pathname;
+	},
+	attachments: true,
+	encode(data, options, attachments = []) {
+		const fields = {
+			"form-name": options.formname || "contact",
+			...data,
+		};
+
+		return attachments.length > 0
+			? encodeContactMultipart(fields, attachments)
+			: encodeContactUrlEncoded(fields);
+	},
+	isSuccess(response) {
+		return response.ok;
+	},
+});
+
+// Any endpoint that accepts a JSON body and answers with a 2xx status
+contactProviders.register("json", {
+	name: "JSON Endpoint",
+	idempotency: "header",
+	getEndpoint(options) {
+		return options.endpoint || null;
+	},
+	encode: encodeContactJson,
+	isSuccess(response) {
+		return response.ok;
+	},
+});
+
+// Cloudflare Worker route answering { success: true } on delivery
+contactProviders.register("worker", {
+	name: "Cloudflare Worker",
+	idempotency: "header",
+	successField: "success",
+	getEndpoint(options) {
+		return options.endpoint || "/api/contact";
+	},
+	attachments: true,
+	encode(data, options, attachments = []) {
+		return attachments.length > 0
+			? encodeContactMultipart(data, attachments)
+			: encodeContactJson(data);
+	},
+	async isSuccess(response) {
+		if (!response.ok) {
+			return false;
+		}
+
+		try {
+			const result = await response.clone().json();
+			return result[this.successField] === true;
+		} catch (error) {
+			return false;
+		}
+	},
+	async getErrors(response) {
+		try {
+			const result = await response.json();
+			return Array.isArray(result.errors) ? result.errors : [];
+		} catch (error) {
+			return [];
+		}
+	},
+});
+
+// Opens the visitor's mail client as a last resort
+contactProviders.register("mailto", {
+	name: "mailto",
+	submit(data, options) {
+		const address = options.address;
+		if (!address) {
+			return { status: "failed", service: "mailto" };
+		}
+
+		const subject = encodeURIComponent(
+			data.subject || "Contact Form Submission"
+		);
+		const body = encodeURIComponent(
+			`Name: ${data.name}\nEmail: ${data.email}\n\nMessage:\n${data.message}`
+		);
+
+		// Nothing is sent until the visitor presses Send in their mail client
+		window.location.href = `mailto:${address}?subject=${subject}&body=${body}`;
+		return { status: "handed-off", service: "mailto" };
+	},
+});
+
+window.ContactProviders = contactProviders;
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactProviderRegistry;
+}
@@ -0,0 +1,112 @@
+/**
+ * Contact Queue Delivery
+ * Sends one queued contact submission. Shared by the service worker (concatenated
+ * into /sw.js by partials/service-worker.html) and ContactSubmissionQueue, which
+ * replays the queue from the page when no service worker controls it.
+ */
+
+class ContactQueueDelivery {
+	/**
+	 * Try each stored provider request until one succeeds
+	 * @param {Object} entry - The queued entry
+	 * @returns {Promise<Object>} Result whose `status` is "delivered" (`service`
+	 * names the provider), "rejected" (every provider refused the content with a
+	 * 4xx, `errors` lists the fields the endpoint named) or "pending" (worth
+	 * another replay)
+	 */
+	static async deliver(entry) {
+		let isPending = false;
+
+		for (const request of entry.requests) {
+			let response;
+			try {
+				response = await fetch(request.endpoint, {
+					method: request.method,
+					headers: request.headers,
+					body: ContactQueueDelivery.decodeBody(request),
+				});
+			} catch (error) {
+				isPending = true;
+				continue;
+			}
+
+			if (response.ok) {
+				if (
+					!request.successField ||
+					(await ContactQueueDelivery.readJson(response))[
+						request.successField
+					] === true
+				) {
+					return { status: "delivered", service: request.service };
+				}
+
+				isPending = true;
+				continue;
+			}
+
+			if (ContactQueueDelivery.isRetryable(response)) {
+				isPending = true;
+				continue;
+			}
+
+			// Rejected content fails the same way everywhere, so don't fall back
+			const { errors } = await ContactQueueDelivery.readJson(response);
+			if (Array.isArray(errors) && errors.length > 0) {
+				return { status: "rejected", service: request.service, errors };
+			}
+		}
+
+		return isPending
+			? { status: "pending" }
+			: { status: "rejected", service: null, errors: [] };
+	}
+
+	/**
+	 * Whether a failed response is worth replaying; matches
+	 * ContactFormValidator.isRetryable
+	 * @param {Response} response - The response
+	 * @returns {boolean} True for rate limiting, server errors and a conflict
+	 * with a request still sending the same idempotency key
+	 */
+	static isRetryable(response) {
+		return (
+			response.status === 409 ||
+			response.status === 429 ||
+			response.status >= 500
+		);
+	}
+
+	/**
+	 * Read a JSON response body
+	 * @param {Response} response - The response
+	 * @returns {Promise<Object>} The body, or an empty object when it isn't JSON
+	 */
+	static async readJson(response) {
+		try {
+			return (await response.json()) || {};
+		} catch (error) {
+			return {};
+		}
+	}
+
+	/**
+	 * Rebuild a stored request body; multipart bodies are kept as [name, value] pairs
+	 * because FormData can't be stored in IndexedDB (Files and Blobs can)
+	 * @param {Object} request - The stored request
+	 * @returns {string|FormData} Body to send
+	 */
+	static decodeBody(request) {
+		if (!request.multipart) {
+			return request.body;
+		}
+
+		const body = new FormData();
+		request.body.forEach(([name, value]) => body.append(name, value));
+		return body;
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactQueueDelivery;
+}
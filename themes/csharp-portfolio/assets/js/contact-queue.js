@@ -0,0 +1,253 @@
+/**
+ * Contact Submission Queue
+ * Stores contact submissions that could not be delivered in IndexedDB so the
+ * service worker (assets/js/sw.js) can replay them through Background Sync.
+ * Falls back to a periodic retry from the page when Background Sync is missing.
+ * Both send entries through ContactQueueDelivery (contact-queue-delivery.js).
+ */
+
+class ContactSubmissionQueue {
+	constructor() {
+		// Keep in sync with the CONTACT_QUEUE_* constants in assets/js/sw.js
+		this.dbName = "csharp-portfolio-contact";
+		this.storeName = "outbox";
+		this.syncTag = "contact-queue";
+		this.maxAttempts = 10;
+		this.retryInterval = 60000;
+		this.retryTimer = null;
+		this.dbPromise = null;
+
+		this.init();
+	}
+
+	/**
+	 * Check whether submissions can be queued in this browser
+	 * @returns {boolean} True when IndexedDB is available
+	 */
+	static isSupported() {
+		return typeof indexedDB !== "undefined";
+	}
+
+	/**
+	 * Listen for delivery reports and resume retries for a non-empty queue
+	 */
+	init() {
+		if ("serviceWorker" in navigator) {
+			navigator.serviceWorker.addEventListener("message", (event) => {
+				const message = event.data || {};
+				if (message.type === "CONTACT_QUEUE_DELIVERED") {
+					this.dispatchQueueEvent("delivered", message);
+				} else if (message.type === "CONTACT_QUEUE_FAILED") {
+					this.dispatchQueueEvent("failed", message);
+				}
+			});
+		}
+
+		window.addEventListener("online", () => this.flush());
+
+		this.count()
+			.then((pending) => {
+				if (pending > 0) {
+					this.requestSync();
+				}
+			})
+			.catch(() => {
+				// Ignore IndexedDB errors, the queue is best effort
+			});
+	}
+
+	/**
+	 * Open (and create on first use) the outbox database
+	 * @returns {Promise<IDBDatabase>} The open database
+	 */
+	open() {
+		if (!this.dbPromise) {
+			this.dbPromise = new Promise((resolve, reject) => {
+				const request = indexedDB.open(this.dbName, 1);
+
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(this.storeName, {
+						keyPath: "id",
+						autoIncrement: true,
+					});
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+
+		return this.dbPromise;
+	}
+
+	/**
+	 * Run a single request against the outbox store
+	 * @param {string} mode - "readonly" or "readwrite"
+	 * @param {Function} operation - (store) => IDBRequest
+	 * @returns {Promise<*>} The request result
+	 */
+	async withStore(mode, operation) {
+		const db = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, mode);
+			const request = operation(transaction.objectStore(this.storeName));
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+
+	count() {
+		return this.withStore("readonly", (store) => store.count());
+	}
+
+	getAll() {
+		return this.withStore("readonly", (store) => store.getAll());
+	}
+
+	put(entry) {
+		return this.withStore("readwrite", (store) => store.put(entry));
+	}
+
+	remove(id) {
+		return this.withStore("readwrite", (store) => store.delete(id));
+	}
+
+	/**
+	 * Store a submission and schedule its replay
+	 * @param {Object} submission - The submission to queue
+	 * @param {Array<Object>} submission.requests - Pre-encoded provider requests, tried in order;
+	 * multipart requests carry `multipart: true` and a body of [name, value] pairs
+	 * @param {string} [submission.subject] - Subject used in delivery announcements
+	 * @returns {Promise<number>} The id of the queued entry
+	 */
+	async enqueue(submission) {
+		const id = await this.put({
+			requests: submission.requests,
+			subject: submission.subject || "",
+			createdAt: Date.now(),
+			attempts: 0,
+		});
+
+		await this.requestSync();
+		return id;
+	}
+
+	/**
+	 * Ask the service worker for a Background Sync, or start polling instead
+	 */
+	async requestSync() {
+		try {
+			if (
+				"serviceWorker" in navigator &&
+				navigator.serviceWorker.controller
+			) {
+				const registration = await navigator.serviceWorker.ready;
+				if (registration.sync) {
+					await registration.sync.register(this.syncTag);
+					return;
+				}
+			}
+		} catch (error) {
+			console.warn("Background Sync registration failed:", error);
+		}
+
+		this.startRetryTimer();
+	}
+
+	startRetryTimer() {
+		if (this.retryTimer) {
+			return;
+		}
+
+		this.retryTimer = setInterval(() => this.flush(), this.retryInterval);
+	}
+
+	stopRetryTimer() {
+		clearInterval(this.retryTimer);
+		this.retryTimer = null;
+	}
+
+	/**
+	 * Replay queued submissions now, through the service worker when it controls the page
+	 */
+	async flush() {
+		if (navigator.onLine === false) {
+			return;
+		}
+
+		try {
+			if (
+				"serviceWorker" in navigator &&
+				navigator.serviceWorker.controller
+			) {
+				navigator.serviceWorker.controller.postMessage({
+					type: "REPLAY_CONTACT_QUEUE",
+				});
+			} else {
+				await this.replay();
+			}
+
+			if ((await this.count()) === 0) {
+				this.stopRetryTimer();
+			}
+		} catch (error) {
+			console.warn("Failed to replay contact queue:", error);
+		}
+	}
+
+	/**
+	 * Replay queued submissions from the page (no service worker available)
+	 */
+	async replay() {
+		const entries = await this.getAll();
+
+		for (const entry of entries) {
+			const result = await ContactQueueDelivery.deliver(entry);
+
+			if (result.status === "delivered") {
+				await this.remove(entry.id);
+				this.dispatchQueueEvent("delivered", {
+					id: entry.id,
+					subject: entry.subject,
+					service: result.service,
+				});
+				continue;
+			}
+
+			entry.attempts += 1;
+			if (
+				result.status === "rejected" ||
+				entry.attempts >= this.maxAttempts
+			) {
+				await this.remove(entry.id);
+				this.dispatchQueueEvent("failed", {
+					id: entry.id,
+					subject: entry.subject,
+					errors: result.errors || [],
+				});
+			} else {
+				await this.put(entry);
+			}
+		}
+	}
+
+	/**
+	 * Dispatch a queue event for other components to listen to
+	 * @param {string} status - "delivered" or "failed"
+	 * @param {Object} detail - Event details
+	 */
+	dispatchQueueEvent(status, detail) {
+		const event = new CustomEvent(`contactqueue${status}`, {
+			detail: { ...detail, timestamp: Date.now() },
+		});
+
+		document.dispatchEvent(event);
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactSubmissionQueue;
+}
@@ -0,0 +1,386 @@
+/**
+ * Contact Form Rules
+ * DOM-free checks behind every contact form rule, shared by the browser
+ * (FormValidationEngine, ContactAttachmentField, ContactSpamGuard) and the
+ * Cloudflare Worker behind `POST /api/contact`, so both sides accept and
+ * reject exactly the same submissions. Errors are returned as message keys
+ * of assets/i18n/<lang>.json so each side can localize them.
+ */
+
+class ContactRules {
+	/**
+	 * Normalize a rule set: restore camelCase names lowercased by Hugo and split
+	 * comma-separated `enum` and `validators` lists
+	 * @param {Object} rules - Rules keyed by rule name
+	 * @returns {Object} Normalized rules
+	 */
+	static normalize(rules) {
+		const normalized = {};
+
+		Object.entries(rules || {}).forEach(([key, value]) => {
+			const name = ContactRules.ruleNames[key.toLowerCase()] || key;
+			normalized[name] = value;
+		});
+
+		if (typeof normalized.enum === "string") {
+			normalized.enum = ContactRules.splitList(normalized.enum);
+		}
+		if (typeof normalized.validators === "string") {
+			normalized.validators = ContactRules.splitList(
+				normalized.validators
+			);
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Merge rule sets; later sets win
+	 * @param {...Object} sources - Rule sets, e.g. schema rules then intent rules
+	 * @returns {Object} Normalized rules with every rule name present
+	 */
+	static resolve(...sources) {
+		return Object.assign(
+			{
+				required: false,
+				type: "text",
+				minLength: null,
+				maxLength: null,
+				pattern: null,
+				patternMessage: null,
+				enum: null,
+				match: null,
+				requiredIf: null,
+				validators: [],
+			},
+			...sources.map((rules) => ContactRules.normalize(rules))
+		);
+	}
+
+	static splitList(value) {
+		return value
+			.split(",")
+			.map((item) => item.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Check a `requiredIf` condition ("field" or "field=value") against submitted values
+	 * @param {string} condition - The condition
+	 * @param {Object} values - Values keyed by field id
+	 * @returns {boolean} True when the condition holds
+	 */
+	static isConditionMet(condition, values) {
+		const [fieldId, expected] = condition.split("=").map((s) => s.trim());
+		const value = String(values[fieldId] ?? "").trim();
+
+		return expected === undefined ? value !== "" : value === expected;
+	}
+
+	/**
+	 * Check the required and requiredIf rules
+	 * @param {string} value - Trimmed value
+	 * @param {Object} rules - Resolved rules
+	 * @param {Object} context - Check context
+	 * @param {string} context.label - Field label used in messages
+	 * @param {Function} [context.isConditionMet] - (condition) => boolean, defaults to the submitted values
+	 * @param {Object} [context.values] - Submitted values keyed by field id
+	 * @returns {Object|null} The error ({ key, params, errorClass }) or null
+	 */
+	static checkRequired(value, rules, context) {
+		const isConditionMet =
+			context.isConditionMet ||
+			((condition) =>
+				ContactRules.isConditionMet(condition, context.values || {}));
+		const required =
+			rules.required ||
+			(rules.requiredIf && isConditionMet(rules.requiredIf));
+
+		if (required && !value) {
+			return {
+				key: "contact.validation.required",
+				params: { field: context.label },
+				errorClass: "required-error",
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check a non-empty value against the format, length, pattern, enum and match rules
+	 * @param {string} value - Trimmed value
+	 * @param {Object} rules - Resolved rules
+	 * @param {Object} context - Check context
+	 * @param {string} context.label - Field label used in messages
+	 * @param {Object} [context.values] - Submitted values keyed by field id
+	 * @param {Function} [context.getLabel] - (fieldId) => label of another field
+	 * @returns {Object|null} The error ({ key, params, errorClass }, or { message, errorClass }
+	 * for a custom pattern message) or null
+	 */
+	static checkValue(value, rules, context) {
+		const field = context.label;
+
+		if (rules.type === "email" && !ContactRules.isValidEmail(value)) {
+			return {
+				key: "contact.validation.email",
+				params: {},
+				errorClass: "email-error",
+			};
+		}
+
+		if (rules.minLength && value.length < rules.minLength) {
+			return {
+				key: "contact.validation.minLength",
+				params: { field, min: rules.minLength },
+				errorClass: "length-error",
+			};
+		}
+
+		if (rules.maxLength && value.length > rules.maxLength) {
+			return {
+				key: "contact.validation.maxLength",
+				params: { field, max: rules.maxLength },
+				errorClass: "length-error",
+			};
+		}
+
+		// Anchored like the native pattern attribute
+		if (
+			rules.pattern &&
+			!new RegExp(`^(?:${rules.pattern})$`).test(value)
+		) {
+			return rules.patternMessage
+				? { message: rules.patternMessage, errorClass: "format-error" }
+				: {
+						key: "contact.validation.pattern",
+						params: { field },
+						errorClass: "format-error",
+				  };
+		}
+
+		if (rules.enum && rules.enum.length && !rules.enum.includes(value)) {
+			return {
+				key: "contact.validation.enum",
+				params: { field, values: rules.enum.join(", ") },
+				errorClass: "format-error",
+			};
+		}
+
+		// Matching field validation (cross-field rule)
+		const values = context.values || {};
+		if (
+			rules.match &&
+			values[rules.match] !== undefined &&
+			String(values[rules.match]).trim() !== value
+		) {
+			return {
+				key: "contact.validation.match",
+				params: {
+					field,
+					other: context.getLabel
+						? context.getLabel(rules.match)
+						: ContactRules.labelFromName(rules.match),
+				},
+				errorClass: "mismatch-error",
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check a value against every built-in rule (custom validators excluded)
+	 * @param {string} value - Trimmed value
+	 * @param {Object} rules - Resolved rules
+	 * @param {Object} context - See checkRequired() and checkValue()
+	 * @returns {Object|null} The first error or null
+	 */
+	static check(value, rules, context) {
+		const error = ContactRules.checkRequired(value, rules, context);
+		if (error || !value) {
+			return error;
+		}
+
+		return ContactRules.checkValue(value, rules, context);
+	}
+
+	static isValidEmail(email) {
+		const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+		return emailRegex.test(email);
+	}
+
+	/**
+	 * Label for a field without a visible label, e.g. "message" => "Message"
+	 * @param {string} name - Field name or id
+	 * @returns {string} The label
+	 */
+	static labelFromName(name) {
+		const text = String(name || "");
+		return text.charAt(0).toUpperCase() + text.slice(1);
+	}
+
+	/**
+	 * Check attached files against count, type, size and total payload limits
+	 * @param {Array<{name: string, size: number, type: string}>} files - Files (File objects work)
+	 * @param {Object} limits - Limits
+	 * @param {number} limits.maxFiles - Maximum number of files
+	 * @param {number} limits.maxSize - Maximum size of one file in bytes
+	 * @param {number} limits.maxTotal - Maximum size of files and text in bytes
+	 * @param {Array<string>} [limits.accept] - Extensions and MIME types, empty accepts anything
+	 * @param {number} [textBytes] - Size of the text fields
+	 * @returns {Object|null} The error ({ key, params, errorClass }) or null
+	 */
+	static checkAttachments(files, limits, textBytes = 0) {
+		const format = ContactRules.formatSize;
+		const accept = limits.accept || [];
+		const error = (key, params) => ({
+			key,
+			params,
+			errorClass: "attachment-error",
+		});
+
+		if (files.length > limits.maxFiles) {
+			return error("contact.attachments.tooMany", {
+				count: files.length,
+				max: limits.maxFiles,
+			});
+		}
+
+		for (const file of files) {
+			if (!ContactRules.isAccepted(file, accept)) {
+				return error("contact.attachments.type", {
+					name: file.name,
+					accept: accept.join(", "),
+				});
+			}
+
+			if (file.size > limits.maxSize) {
+				return error("contact.attachments.size", {
+					name: file.name,
+					size: format(file.size),
+					limit: format(limits.maxSize),
+				});
+			}
+		}
+
+		const total =
+			textBytes + files.reduce((sum, file) => sum + file.size, 0);
+		if (total > limits.maxTotal) {
+			return error("contact.attachments.total", {
+				size: format(total),
+				limit: format(limits.maxTotal),
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Resolve attachment limits from `params.contact.attachments`, with the input's
+	 * own data-max-* and accept attributes taking precedence in the browser
+	 * @param {Object} [options] - Site configuration
+	 * @param {Object} [overrides] - maxFiles, maxSize, maxTotal and accept from markup
+	 * @returns {{maxFiles: number, maxSize: number, maxTotal: number, accept: Array<string>}} Limits
+	 */
+	static attachmentLimits(options = {}, overrides = {}) {
+		return {
+			maxFiles:
+				parseInt(overrides.maxFiles) || parseInt(options.maxfiles) || 3,
+			maxSize: ContactRules.parseSize(
+				overrides.maxSize || options.maxsize || "5MB"
+			),
+			maxTotal: ContactRules.parseSize(
+				overrides.maxTotal || options.maxtotal || "10MB"
+			),
+			accept: String(overrides.accept || options.accept || "")
+				.split(",")
+				.map((type) => type.trim().toLowerCase())
+				.filter(Boolean),
+		};
+	}
+
+	/**
+	 * Check whether a file matches an accept list (extensions or MIME types)
+	 * @param {{name: string, type: string}} file - The file
+	 * @param {Array<string>} accept - Lowercased extensions and MIME types
+	 * @returns {boolean} True when accepted
+	 */
+	static isAccepted(file, accept) {
+		if (accept.length === 0) {
+			return true;
+		}
+
+		const name = file.name.toLowerCase();
+		const type = (file.type || "").toLowerCase();
+
+		return accept.some((pattern) => {
+			if (pattern.startsWith(".")) return name.endsWith(pattern);
+			if (pattern.endsWith("/*"))
+				return type.startsWith(pattern.slice(0, -1));
+			return type === pattern;
+		});
+	}
+
+	/**
+	 * Parse a size such as "5MB", "512KB" or a number of bytes
+	 * @param {string|number} size - The size
+	 * @returns {number} Size in bytes
+	 */
+	static parseSize(size) {
+		const match = String(size)
+			.trim()
+			.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+		if (!match) {
+			return 0;
+		}
+
+		const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+		return Math.round(
+			parseFloat(match[1]) * units[(match[2] || "B").toUpperCase()]
+		);
+	}
+
+	/**
+	 * Format a byte count for messages
+	 * @param {number} bytes - Size in bytes
+	 * @returns {string} e.g. "2.5 MB"
+	 */
+	static formatSize(bytes) {
+		if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+		if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+		return `${bytes} B`;
+	}
+
+	/**
+	 * Count URLs and link markup in a piece of text
+	 * @param {string} text - Text to inspect
+	 * @returns {number} Number of links found
+	 */
+	static countLinks(text) {
+		const patterns = [
+			/\bhttps?:\/\/\S+/gi,
+			/(^|\s)www\.\S+/gi,
+			/\[url[=\]]/gi,
+			/<a\s[^>]*href/gi,
+		];
+
+		return patterns.reduce(
+			(count, pattern) => count + (text.match(pattern) || []).length,
+			0
+		);
+	}
+}
+
+// Canonical rule names keyed by their lowercased form
+ContactRules.ruleNames = {
+	minlength: "minLength",
+	maxlength: "maxLength",
+	patternmessage: "patternMessage",
+	requiredif: "requiredIf",
+};
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactRules;
+}
@@ -0,0 +1,194 @@
+/**
+ * Contact Submission Log
+ * Remembers recent contact submissions in localStorage to block identical
+ * messages and enforce a per-browser rate limit, and derives the idempotency
+ * key providers forward so a repeated request is only delivered once.
+ */
+
+class ContactSubmissionLog {
+	/**
+	 * @param {Object} [options] - `params.contact.limits` from the site configuration
+	 */
+	constructor(options = {}) {
+		this.storageKey = "csharp-portfolio-contact-submissions";
+		this.nonceKey = "csharp-portfolio-contact-nonce";
+		this.maxSubmissions = Number.isInteger(options.max) ? options.max : 3;
+		this.window = (options.window || 60) * 60 * 1000;
+		this.duplicateWindow = (options.duplicatewindow || 10) * 60 * 1000;
+	}
+
+	/**
+	 * Hash text as hex, with a non-cryptographic fallback outside secure contexts
+	 * @param {string} text - Text to hash
+	 * @returns {Promise<string>} Hex digest
+	 */
+	static async hash(text) {
+		if (typeof crypto !== "undefined" && crypto.subtle) {
+			const digest = await crypto.subtle.digest(
+				"SHA-256",
+				new TextEncoder().encode(text)
+			);
+			return Array.from(new Uint8Array(digest))
+				.map((byte) => byte.toString(16).padStart(2, "0"))
+				.join("");
+		}
+
+		// djb2, only used to recognize duplicates
+		let hash = 5381;
+		for (let i = 0; i < text.length; i++) {
+			hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+		}
+		return hash.toString(16).padStart(8, "0");
+	}
+
+	/**
+	 * Get the per-session nonce, kept across reloads of the same tab
+	 * @returns {string} The nonce
+	 */
+	getNonce() {
+		try {
+			let nonce = sessionStorage.getItem(this.nonceKey);
+			if (!nonce) {
+				nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)))
+					.map((byte) => byte.toString(16).padStart(2, "0"))
+					.join("");
+				sessionStorage.setItem(this.nonceKey, nonce);
+			}
+			return nonce;
+		} catch (error) {
+			console.warn("Failed to access sessionStorage:", error);
+			return "no-session";
+		}
+	}
+
+	/**
+	 * Read recent submissions, dropping those older than both windows
+	 * @returns {Array<{hash: string, at: number}>} Recent submissions
+	 */
+	load() {
+		let entries = [];
+
+		try {
+			entries = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+		} catch (error) {
+			console.warn(
+				"Failed to read submission log from localStorage:",
+				error
+			);
+			return [];
+		}
+
+		const horizon =
+			Date.now() - Math.max(this.window, this.duplicateWindow);
+		return entries.filter((entry) => entry.at > horizon);
+	}
+
+	/**
+	 * Remember a submission that left the page (delivered or queued)
+	 * @param {string} contentHash - Hash from describe()
+	 */
+	record(contentHash) {
+		const entries = this.load();
+		entries.push({ hash: contentHash, at: Date.now() });
+
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(entries));
+		} catch (error) {
+			console.warn(
+				"Failed to store submission log in localStorage:",
+				error
+			);
+		}
+	}
+
+	/**
+	 * Hash the message content and derive its idempotency key
+	 * @param {Object} data - Text values, without spam guard fields
+	 * @param {Array<{field: string, file: File}>} [attachments] - Attached files
+	 * @returns {Promise<{contentHash: string, idempotencyKey: string}>} Hashes
+	 */
+	async describe(data, attachments = []) {
+		const content = JSON.stringify({
+			fields: Object.keys(data)
+				.sort()
+				.map((key) => [key, String(data[key]).trim()]),
+			files: attachments.map(({ file }) => [file.name, file.size]),
+		});
+
+		const contentHash = await ContactSubmissionLog.hash(content);
+		const idempotencyKey = await ContactSubmissionLog.hash(
+			`${this.getNonce()}:${contentHash}`
+		);
+
+		return { contentHash, idempotencyKey };
+	}
+
+	/**
+	 * Check a submission against the duplicate window and the rate limit
+	 * @param {string} contentHash - Hash from describe()
+	 * @returns {Array<Object>} Rejections ({ code, message, severity }), empty when allowed
+	 */
+	check(contentHash) {
+		const now = Date.now();
+		const entries = this.load();
+		const rejections = [];
+
+		const duplicate = entries.find(
+			(entry) =>
+				entry.hash === contentHash &&
+				now - entry.at < this.duplicateWindow
+		);
+		if (duplicate) {
+			rejections.push({
+				code: "CF0105",
+				severity: "error",
+				message: window.i18n.t("contact.limits.duplicate", {
+					ago: window.i18n.t("duration.ago", {
+						duration: this.formatWait(now - duplicate.at),
+					}),
+				}),
+			});
+		}
+
+		const recent = entries
+			.filter((entry) => now - entry.at < this.window)
+			.sort((a, b) => a.at - b.at);
+		if (this.maxSubmissions > 0 && recent.length >= this.maxSubmissions) {
+			const retryIn =
+				recent[recent.length - this.maxSubmissions].at +
+				this.window -
+				now;
+			rejections.push({
+				code: "CF0106",
+				severity: "error",
+				message: window.i18n.t("contact.limits.rate", {
+					max: this.maxSubmissions,
+					window: this.formatWait(this.window),
+					wait: this.formatWait(retryIn),
+				}),
+			});
+		}
+
+		return rejections;
+	}
+
+	/**
+	 * Describe a duration for messages
+	 * @param {number} ms - Duration in milliseconds
+	 * @returns {string} e.g. "5 minutes"
+	 */
+	formatWait(ms) {
+		const minutes = Math.max(1, Math.ceil(ms / 60000));
+		if (minutes < 60) {
+			return window.i18n.t("duration.minutes", { count: minutes });
+		}
+		return window.i18n.t("duration.hours", {
+			count: Math.round(minutes / 60),
+		});
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactSubmissionLog;
+}
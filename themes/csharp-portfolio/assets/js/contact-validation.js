@@ -0,0 +1,230 @@
+/**
+ * Contact Form Validation Schema
+ * Collects declarative validation rules for ContactFormValidator from native
+ * attributes, `data-validate-*` attributes and an optional JSON schema block,
+ * and keeps the registry of custom (sync or async) validators.
+ */
+
+class ContactValidationSchema {
+	/**
+	 * @param {HTMLFormElement} form - The form whose rules are collected
+	 * @param {Object} [baseSchema] - Site-wide schema (`assets/data/contact-schema.json`),
+	 * which the form's own schema block extends
+	 */
+	constructor(form, baseSchema = {}) {
+		this.form = form;
+		this.baseSchema = baseSchema || {};
+		this.schema = this.loadSchema();
+		this.overrides = {};
+	}
+
+	/**
+	 * Register a custom validator usable from `validators` rules
+	 * @param {string} name - Validator name, e.g. "disposable-email"
+	 * @param {Function} validator - (value, context) => string|null or a Promise of it;
+	 * a string is the error message, null means the value is valid
+	 */
+	static registerValidator(name, validator) {
+		ContactValidationSchema.validators.set(name, validator);
+	}
+
+	/**
+	 * Get a registered custom validator
+	 * @param {string} name - Validator name
+	 * @returns {Function|null} The validator or null if unknown
+	 */
+	static getValidator(name) {
+		return ContactValidationSchema.validators.get(name) || null;
+	}
+
+	/**
+	 * Read the JSON schema block, either inside the form or referenced by id,
+	 * on top of the site-wide schema
+	 * @returns {Object} The schema with a `fields` map keyed by field id
+	 */
+	loadSchema() {
+		const schemaElement =
+			this.form.querySelector("script[data-validation-schema]") ||
+			document.getElementById(`${this.form.id}-schema`);
+		const baseFields = this.baseSchema.fields || {};
+		let schema = {};
+
+		if (schemaElement) {
+			try {
+				schema = JSON.parse(schemaElement.textContent) || {};
+			} catch (error) {
+				console.error("Invalid validation schema:", error);
+			}
+		}
+
+		const fields = { ...baseFields };
+		Object.entries(schema.fields || {}).forEach(([id, rules]) => {
+			fields[id] = { ...(baseFields[id] || {}), ...rules };
+		});
+
+		return { ...this.baseSchema, ...schema, fields };
+	}
+
+	/**
+	 * Get every field that takes part in validation
+	 * @returns {Array<HTMLElement>} Inputs, textareas and selects with an id
+	 */
+	getFields() {
+		const ignoredTypes = ["hidden", "submit", "reset", "button"];
+		const fields = Array.from(
+			this.form.querySelectorAll("input[id], textarea[id], select[id]")
+		).filter((field) => !ignoredTypes.includes(field.type));
+
+		// Schema entries may reference fields without validation attributes
+		Object.keys(this.schema.fields).forEach((id) => {
+			const field = this.form.querySelector(`#${id}`);
+			if (field && !fields.includes(field)) {
+				fields.push(field);
+			}
+		});
+
+		return fields;
+	}
+
+	/**
+	 * Replace the rules that take precedence over every other source, e.g. the
+	 * rules of the selected contact intent
+	 * @param {Object} overrides - Rules keyed by field id
+	 */
+	setOverrides(overrides) {
+		this.overrides = {};
+
+		// Hugo lowercases site parameter keys, e.g. minLength arrives as minlength
+		Object.entries(overrides || {}).forEach(([id, rules]) => {
+			this.overrides[id] = ContactRules.normalize(rules);
+		});
+	}
+
+	/**
+	 * Resolve the rules for a field; overrides win over data-validate-* attributes,
+	 * which override the JSON schema, which overrides native attributes
+	 * @param {HTMLElement} input - The field
+	 * @returns {Object} Normalized rules
+	 */
+	getRules(input) {
+		const rules = {
+			required: input.hasAttribute("required"),
+			type: input.type,
+			minLength: parseInt(input.getAttribute("minlength")) || null,
+			maxLength: parseInt(input.getAttribute("maxlength")) || null,
+			pattern: input.getAttribute("pattern") || null,
+			patternMessage: null,
+			enum: null,
+			match: null,
+			requiredIf: null,
+			validators: [],
+		};
+
+		Object.assign(rules, this.schema.fields[input.id] || {});
+		Object.assign(rules, this.getAttributeRules(input));
+		Object.assign(rules, this.overrides[input.id] || {});
+
+		return ContactRules.normalize(rules);
+	}
+
+	/**
+	 * Read rules declared with data-validate-* attributes
+	 * @param {HTMLElement} input - The field
+	 * @returns {Object} Rules present on the element
+	 */
+	getAttributeRules(input) {
+		const data = input.dataset;
+		const rules = {};
+
+		if (data.validateRequired !== undefined) {
+			rules.required = data.validateRequired !== "false";
+		}
+		if (data.validateType) {
+			rules.type = data.validateType;
+		}
+		if (data.validateMinlength) {
+			rules.minLength = parseInt(data.validateMinlength) || null;
+		}
+		if (data.validateMaxlength) {
+			rules.maxLength = parseInt(data.validateMaxlength) || null;
+		}
+		if (data.validatePattern) {
+			rules.pattern = data.validatePattern;
+		}
+		if (data.validatePatternMessage) {
+			rules.patternMessage = data.validatePatternMessage;
+		}
+		if (data.validateEnum) {
+			rules.enum = data.validateEnum;
+		}
+		if (data.validateMatch) {
+			rules.match = data.validateMatch;
+		}
+		if (data.validateRequiredIf) {
+			rules.requiredIf = data.validateRequiredIf;
+		}
+		if (data.validateValidators) {
+			rules.validators = data.validateValidators;
+		}
+
+		return rules;
+	}
+
+	/**
+	 * Check a `requiredIf` condition ("field" or "field=value")
+	 * @param {string} condition - The condition
+	 * @returns {boolean} True when the condition holds
+	 */
+	isConditionMet(condition) {
+		const [fieldId, expected] = condition.split("=").map((s) => s.trim());
+		const field = this.form.querySelector(`#${fieldId}`);
+
+		if (!field) {
+			return false;
+		}
+
+		const value =
+			field.type === "checkbox"
+				? field.checked
+					? field.value || "on"
+					: ""
+				: field.value.trim();
+
+		return expected === undefined ? value !== "" : value === expected;
+	}
+}
+
+ContactValidationSchema.validators = new Map();
+
+// Rejects throwaway mailbox domains using the bundled list published by Hugo
+ContactValidationSchema.registerValidator(
+	"disposable-email",
+	async (value, context) => {
+		const url = context.config && context.config.disposableDomainsUrl;
+		const domain = value.split("@").pop().toLowerCase();
+
+		if (!url || !domain) {
+			return null;
+		}
+
+		if (!ContactValidationSchema.disposableDomains) {
+			ContactValidationSchema.disposableDomains = fetch(url)
+				.then((response) => response.json())
+				.then((domains) => new Set(domains))
+				.catch(() => {
+					ContactValidationSchema.disposableDomains = null;
+					return new Set();
+				});
+		}
+
+		const domains = await ContactValidationSchema.disposableDomains;
+		return domains.has(domain)
+			? window.i18n.t("contact.validation.disposableEmail")
+			: null;
+	}
+);
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ContactValidationSchema;
+}
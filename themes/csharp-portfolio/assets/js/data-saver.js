@@ -0,0 +1,172 @@
+/**
+ * Data Saver
+ * Reduced-data mode, on when the visitor turns it on or when the browser asks
+ * for it (Save-Data or prefers-reduced-data) and the visitor hasn't turned it
+ * off. The mode is reflected on html[data-reduced-data] (set early by
+ * partials/reduced-data.html), sent to the service worker so it stops
+ * caching opportunistically, and announced with a `reduceddatachange` event.
+ */
+
+class DataSaver {
+	constructor() {
+		this.storageKey = "csharp-portfolio-reduced-data";
+		this.mediaQuery = window.matchMedia
+			? window.matchMedia("(prefers-reduced-data: reduce)")
+			: null;
+		this.enabled = DataSaver.detect(this.getPreference(), this.mediaQuery);
+
+		this.init();
+	}
+
+	/**
+	 * Decide the mode; keep in sync with partials/reduced-data.html
+	 * @param {string|null} preference - "on", "off" or null to follow the browser
+	 * @param {MediaQueryList|null} mediaQuery - prefers-reduced-data query
+	 * @returns {boolean} True when data should be saved
+	 */
+	static detect(preference, mediaQuery) {
+		if (preference === "on" || preference === "off") {
+			return preference === "on";
+		}
+
+		const connection = navigator.connection;
+		return (
+			(!!connection && connection.saveData === true) ||
+			(!!mediaQuery && mediaQuery.matches)
+		);
+	}
+
+	init() {
+		const update = () =>
+			this.setEnabled(
+				DataSaver.detect(this.getPreference(), this.mediaQuery)
+			);
+
+		if (navigator.connection && navigator.connection.addEventListener) {
+			navigator.connection.addEventListener("change", update);
+		}
+		if (this.mediaQuery && this.mediaQuery.addEventListener) {
+			this.mediaQuery.addEventListener("change", update);
+		}
+
+		document.addEventListener("DOMContentLoaded", () => {
+			document
+				.querySelectorAll("[data-reduced-data-toggle]")
+				.forEach((toggle) => {
+					toggle.addEventListener("click", () => this.toggle());
+				});
+			this.updateToggles();
+		});
+
+		this.apply();
+	}
+
+	getPreference() {
+		try {
+			return localStorage.getItem(this.storageKey);
+		} catch (error) {
+			console.warn(
+				"Failed to read data saver preference from localStorage:",
+				error
+			);
+			return null;
+		}
+	}
+
+	isEnabled() {
+		return this.enabled;
+	}
+
+	/**
+	 * Switch the mode from the visitor's toggle; the choice overrides the browser
+	 */
+	toggle() {
+		const enabled = !this.enabled;
+
+		try {
+			localStorage.setItem(this.storageKey, enabled ? "on" : "off");
+		} catch (error) {
+			console.warn(
+				"Failed to save data saver preference to localStorage:",
+				error
+			);
+		}
+
+		this.setEnabled(enabled);
+	}
+
+	setEnabled(enabled) {
+		if (enabled === this.enabled) {
+			return;
+		}
+
+		this.enabled = enabled;
+		this.apply();
+		this.dispatchChangeEvent();
+	}
+
+	/**
+	 * Reflect the mode on the page and tell the service worker
+	 */
+	apply() {
+		const root = document.documentElement;
+
+		if (this.enabled) {
+			root.setAttribute("data-reduced-data", "true");
+			document
+				.querySelectorAll('link[rel="prefetch"]')
+				.forEach((link) => link.remove());
+		} else {
+			root.removeAttribute("data-reduced-data");
+		}
+
+		this.updateToggles();
+
+		if (
+			typeof ServiceWorkerClient !== "undefined" &&
+			ServiceWorkerClient.isControlled()
+		) {
+			ServiceWorkerClient.send(
+				{ type: "SET_REDUCED_DATA", enabled: this.enabled },
+				10000
+			).catch((error) => {
+				console.warn(
+					"Failed to update service worker data saver:",
+					error
+				);
+			});
+		}
+	}
+
+	updateToggles() {
+		document
+			.querySelectorAll("[data-reduced-data-toggle]")
+			.forEach((toggle) => {
+				toggle.setAttribute("aria-pressed", String(this.enabled));
+
+				const state = toggle.querySelector("[data-reduced-data-state]");
+				if (state) {
+					state.textContent = String(this.enabled);
+				}
+			});
+	}
+
+	/**
+	 * Dispatch the mode change for other components to listen to
+	 */
+	dispatchChangeEvent() {
+		const event = new CustomEvent("reduceddatachange", {
+			detail: { enabled: this.enabled, timestamp: Date.now() },
+		});
+
+		document.dispatchEvent(event);
+	}
+}
+
+// Created right away so later scripts can ask for the mode while they initialize
+window.dataSaver = new DataSaver();
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = DataSaver;
+}
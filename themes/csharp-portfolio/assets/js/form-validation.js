@@ -0,0 +1,324 @@
+/**
+ * Form Validation Engine
+ * The single place where form fields are checked against their rules and
+ * where the result is rendered accessibly: error text, `aria-invalid`,
+ * `aria-describedby`, the form status, live announcements and focus on the
+ * first invalid field. ContactFormValidator drives it; accessibility.js only
+ * exposes it through window.AccessibilityEnhancer.
+ */
+
+class FormValidationEngine {
+	/**
+	 * @param {HTMLFormElement} form - The form
+	 * @param {Object} [options] - Options
+	 * @param {Object} [options.schema] - Rule source with isConditionMet() for `requiredIf`
+	 * @param {Function} [options.getValue] - (input) => string, defaults to the trimmed value
+	 * @param {Function} [options.check] - (input, value, rules) => {message, errorClass}|null
+	 * for field-specific checks run after the required check
+	 * @param {Function} [options.getCode] - (errorClass) => diagnostic code
+	 * @param {Function} [options.onError] - (input, diagnostic) => void after an error is shown
+	 * @param {Function} [options.onClear] - (input) => void after an error is cleared
+	 */
+	constructor(form, options = {}) {
+		this.form = form;
+		this.schema = options.schema || null;
+		this.getValue = options.getValue || ((input) => input.value.trim());
+		this.extraCheck = options.check || (() => null);
+		this.getCode = options.getCode || (() => "");
+		this.onError = options.onError || (() => {});
+		this.onClear = options.onClear || (() => {});
+
+		FormValidationEngine.instances.set(form, this);
+	}
+
+	/**
+	 * Get the engine attached to a form
+	 * @param {HTMLFormElement} form - The form
+	 * @returns {FormValidationEngine|null} The engine, if one was created
+	 */
+	static for(form) {
+		return (form && FormValidationEngine.instances.get(form)) || null;
+	}
+
+	/**
+	 * Link each field to its error element and mark it as not invalid yet
+	 * @param {Array<HTMLElement>} fields - Fields to validate
+	 */
+	init(fields) {
+		fields.forEach((input) => {
+			const errorElement = this.getErrorElement(input);
+			if (!errorElement) {
+				return;
+			}
+
+			const describedBy = (input.getAttribute("aria-describedby") || "")
+				.split(/\s+/)
+				.filter(Boolean);
+			if (!describedBy.includes(errorElement.id)) {
+				describedBy.push(errorElement.id);
+				input.setAttribute("aria-describedby", describedBy.join(" "));
+			}
+
+			input.setAttribute("aria-invalid", "false");
+		});
+	}
+
+	/**
+	 * Get the element holding a field's error message (`#<id>-error`)
+	 * @param {HTMLElement} input - The field
+	 * @returns {HTMLElement|null} The error element
+	 */
+	getErrorElement(input) {
+		return input.id ? this.form.querySelector(`#${input.id}-error`) : null;
+	}
+
+	/**
+	 * Validate a field against its rules and render the result
+	 * @param {HTMLElement} input - The field
+	 * @param {Object} rules - Rules from the schema
+	 * @returns {boolean} True when the field is valid
+	 */
+	validateField(input, rules) {
+		// Disabled fields are not submitted, so they can't be invalid
+		if (!input || input.disabled || !this.getErrorElement(input)) {
+			return true;
+		}
+
+		this.clearError(input);
+
+		const value = this.getValue(input);
+		const error = this.check(input, value, rules);
+
+		if (error) {
+			this.showError(input, error.message, error.errorClass);
+			return false;
+		}
+
+		if (value) {
+			input.classList.add("valid");
+		} else {
+			input.classList.remove("valid");
+		}
+		return true;
+	}
+
+	/**
+	 * Check a value against the rules without touching the page
+	 * @param {HTMLElement} input - The field
+	 * @param {string} value - The value to check
+	 * @param {Object} rules - Rules from the schema
+	 * @returns {{message: string, errorClass: string}|null} The first error, or null
+	 */
+	check(input, value, rules) {
+		const context = {
+			label: this.getFieldLabel(input),
+			values: this.getValues(),
+			getLabel: (id) => {
+				const other = this.form.querySelector(`#${id}`);
+				return other
+					? this.getFieldLabel(other)
+					: ContactRules.labelFromName(id);
+			},
+			isConditionMet: (condition) =>
+				this.schema
+					? this.schema.isConditionMet(condition)
+					: ContactRules.isConditionMet(condition, this.getValues()),
+		};
+
+		// Field-specific checks such as attachment limits run on non-empty values
+		const error =
+			ContactRules.checkRequired(value, rules, context) ||
+			(value ? this.extraCheck(input, value, rules) : null) ||
+			(value ? ContactRules.checkValue(value, rules, context) : null);
+
+		return error ? this.localize(error) : null;
+	}
+
+	/**
+	 * Turn a ContactRules error into a message
+	 * @param {Object} error - { key, params, errorClass } or { message, errorClass }
+	 * @returns {{message: string, errorClass: string}} The localized error
+	 */
+	localize(error) {
+		return {
+			message: error.message || window.i18n.t(error.key, error.params),
+			errorClass: error.errorClass,
+		};
+	}
+
+	/**
+	 * Current values keyed by field id, for cross-field rules
+	 * @returns {Object} Trimmed values
+	 */
+	getValues() {
+		const values = {};
+
+		this.form
+			.querySelectorAll("input[id], textarea[id], select[id]")
+			.forEach((field) => {
+				if (field.type !== "file") {
+					values[field.id] = field.value.trim();
+				}
+			});
+
+		return values;
+	}
+
+	/**
+	 * Show an error on a field
+	 * @param {HTMLElement} input - The offending field
+	 * @param {string} message - The message
+	 * @param {string} [errorClass] - Error class, which selects the diagnostic code
+	 * @param {Object} [diagnostic] - Overrides for the diagnostic code and severity
+	 */
+	showError(input, message, errorClass = "", diagnostic = {}) {
+		const errorElement = this.getErrorElement(input);
+		const code = diagnostic.code || this.getCode(errorClass);
+
+		input.classList.add("error");
+		input.classList.remove("valid");
+		input.setAttribute("aria-invalid", "true");
+
+		if (errorElement) {
+			errorElement.textContent = message;
+			errorElement.classList.add("show");
+			if (code) {
+				errorElement.setAttribute("data-code", code);
+			}
+			if (errorClass) {
+				errorElement.classList.add(errorClass);
+			}
+		}
+
+		this.onError(input, {
+			code,
+			severity: diagnostic.severity || "error",
+			message,
+			input,
+			label: this.getFieldLabel(input),
+		});
+	}
+
+	/**
+	 * Remove a field's error
+	 * @param {HTMLElement} input - The field
+	 */
+	clearError(input) {
+		const errorElement = this.getErrorElement(input);
+
+		if (errorElement) {
+			errorElement.textContent = "";
+			errorElement.removeAttribute("data-code");
+			errorElement.classList.remove(
+				"show",
+				...FormValidationEngine.errorClasses
+			);
+		}
+
+		input.classList.remove("error");
+		if (input.hasAttribute("aria-invalid")) {
+			input.setAttribute("aria-invalid", "false");
+		}
+
+		this.onClear(input);
+	}
+
+	/**
+	 * Clear every error and validity style, e.g. after a reset
+	 */
+	clearAll() {
+		this.form
+			.querySelectorAll("input, textarea, select")
+			.forEach((input) => {
+				this.clearError(input);
+				input.classList.remove("valid");
+			});
+	}
+
+	/**
+	 * Move focus to the first invalid field in document order
+	 * @returns {HTMLElement|null} The focused field
+	 */
+	focusFirstInvalid() {
+		const first = this.form.querySelector('[aria-invalid="true"]');
+
+		if (first) {
+			first.focus();
+			first.scrollIntoView({ behavior: "smooth", block: "center" });
+		}
+
+		return first;
+	}
+
+	/**
+	 * Get the visible (localized) label of a field for messages
+	 * @param {HTMLElement} input - The field
+	 * @returns {string} Label text, or the capitalized field name
+	 */
+	getFieldLabel(input) {
+		const label = this.form.querySelector(`label[for="${input.id}"]`);
+		if (label) {
+			const propertySpan = label.querySelector(".code-property");
+			return (propertySpan || label).textContent.trim();
+		}
+
+		return ContactRules.labelFromName(input.name || input.id);
+	}
+
+	/**
+	 * Show the form status (#formStatus)
+	 * @param {string} message - The message
+	 * @param {string} type - "loading", "success", "warning", "handed-off", "queued" or "error"
+	 * @param {Object} [options] - Options
+	 * @param {boolean} [options.announce] - Also announce the message to screen readers
+	 */
+	showStatus(message, type, { announce = false } = {}) {
+		const statusElement = this.form.querySelector("#formStatus");
+
+		if (statusElement) {
+			statusElement.textContent = message;
+			statusElement.className = `form-status show ${type}`;
+		}
+
+		if (announce) {
+			this.announce(message);
+		}
+	}
+
+	hideStatus() {
+		const statusElement = this.form.querySelector("#formStatus");
+
+		if (statusElement) {
+			statusElement.textContent = "";
+			statusElement.className = "form-status";
+		}
+	}
+
+	/**
+	 * Announce a message through the page's live region
+	 * @param {string} message - The message
+	 */
+	announce(message) {
+		if (window.announceToScreenReader) {
+			window.announceToScreenReader(message);
+		}
+	}
+}
+
+FormValidationEngine.instances = new WeakMap();
+
+// Classes a field's error element may carry, one per kind of error
+FormValidationEngine.errorClasses = [
+	"required-error",
+	"email-error",
+	"length-error",
+	"format-error",
+	"mismatch-error",
+	"spam-error",
+	"attachment-error",
+];
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = FormValidationEngine;
+}
@@ -0,0 +1,241 @@
+/**
+ * Message Catalog
+ * Localized UI strings with ICU-style placeholders ({name}), plural
+ * ({count, plural, one {# item} other {# items}}) and select arguments.
+ * Catalogs live in assets/i18n/<lang>.json and are rendered into the page
+ * by partials/message-catalog.html for the Hugo language of the page.
+ */
+
+class MessageCatalog {
+	/**
+	 * @param {Object} catalog - Catalog from partials/message-catalog.html
+	 * @param {string} catalog.locale - Locale, e.g. "si"
+	 * @param {Object} catalog.messages - Messages of that locale, keyed by message id
+	 * @param {Object} catalog.fallback - English messages used for missing keys
+	 * @param {boolean} [catalog.dev] - Warn about untranslated keys
+	 */
+	constructor(catalog = {}) {
+		this.locale = catalog.locale || "en";
+		this.messages = catalog.messages || {};
+		this.fallback = catalog.fallback || {};
+		this.dev = Boolean(catalog.dev);
+		this.reported = new Set();
+
+		if (this.dev) {
+			this.reportUntranslated();
+		}
+	}
+
+	/**
+	 * Read the catalog rendered into the page; the locale follows the page `lang`
+	 * @returns {MessageCatalog} The catalog
+	 */
+	static load() {
+		const catalogElement = document.getElementById("message-catalog");
+		let catalog = {};
+
+		if (catalogElement) {
+			try {
+				catalog = JSON.parse(catalogElement.textContent) || {};
+			} catch (error) {
+				console.error("Invalid message catalog:", error);
+			}
+		}
+
+		const lang = document.documentElement.getAttribute("lang");
+		return new MessageCatalog({
+			...catalog,
+			locale: lang || catalog.locale,
+		});
+	}
+
+	/**
+	 * List keys present in English but missing from the current locale
+	 */
+	reportUntranslated() {
+		const untranslated = Object.keys(this.fallback).filter(
+			(key) => !(key in this.messages)
+		);
+
+		if (untranslated.length > 0) {
+			console.warn(
+				`[i18n] ${untranslated.length} untranslated key(s) for "${this.locale}", falling back to English:`,
+				untranslated
+			);
+		}
+	}
+
+	/**
+	 * Translate a message
+	 * @param {string} key - Message id, e.g. "contact.validation.required"
+	 * @param {Object} [params] - Placeholder values
+	 * @returns {string} The formatted message
+	 */
+	t(key, params = {}) {
+		const pattern =
+			this.messages[key] !== undefined
+				? this.messages[key]
+				: this.fallback[key];
+
+		if (pattern === undefined) {
+			if (this.dev && !this.reported.has(key)) {
+				this.reported.add(key);
+				console.warn(`[i18n] Unknown message key: ${key}`);
+			}
+			return key;
+		}
+
+		return this.format(pattern, params);
+	}
+
+	/**
+	 * Format an ICU-style pattern
+	 * @param {string} pattern - The pattern
+	 * @param {Object} params - Placeholder values
+	 * @param {number|null} [hashValue] - Value printed for # inside a plural branch
+	 * @returns {string} The formatted text
+	 */
+	format(pattern, params, hashValue = null) {
+		let result = "";
+		let i = 0;
+
+		while (i < pattern.length) {
+			const char = pattern[i];
+
+			if (char === "{") {
+				const end = this.findClosingBrace(pattern, i);
+				result += this.formatArgument(
+					pattern.slice(i + 1, end),
+					params,
+					hashValue
+				);
+				i = end + 1;
+			} else if (char === "#" && hashValue !== null) {
+				result += this.formatNumber(hashValue);
+				i++;
+			} else {
+				result += char;
+				i++;
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Format one {argument}: plain, number, plural or select
+	 */
+	formatArgument(argument, params, hashValue) {
+		const [name, type, ...rest] = argument.split(",");
+		const key = name.trim();
+		const value = params[key];
+
+		if (type === undefined) {
+			return value === undefined ? `{${key}}` : String(value);
+		}
+
+		const kind = type.trim();
+		if (kind === "number") {
+			return this.formatNumber(value);
+		}
+
+		const options = this.parseOptions(rest.join(","));
+
+		if (kind === "plural") {
+			const count = Number(value);
+			const exact = options[`=${count}`];
+			const category = new Intl.PluralRules(this.locale).select(count);
+			const branch =
+				exact !== undefined
+					? exact
+					: options[category] !== undefined
+					? options[category]
+					: options.other;
+			return branch === undefined
+				? ""
+				: this.format(branch, params, count);
+		}
+
+		if (kind === "select") {
+			const branch =
+				options[String(value)] !== undefined
+					? options[String(value)]
+					: options.other;
+			return branch === undefined
+				? ""
+				: this.format(branch, params, hashValue);
+		}
+
+		return value === undefined ? "" : String(value);
+	}
+
+	/**
+	 * Parse "one {…} other {…}" into { one: "…", other: "…" }
+	 */
+	parseOptions(text) {
+		const options = {};
+		let i = 0;
+
+		while (i < text.length) {
+			const start = text.indexOf("{", i);
+			if (start === -1) {
+				break;
+			}
+
+			const selector = text.slice(i, start).trim();
+			const end = this.findClosingBrace(text, start);
+			options[selector] = text.slice(start + 1, end);
+			i = end + 1;
+		}
+
+		return options;
+	}
+
+	findClosingBrace(text, start) {
+		let depth = 0;
+
+		for (let i = start; i < text.length; i++) {
+			if (text[i] === "{") depth++;
+			if (text[i] === "}" && --depth === 0) return i;
+		}
+
+		return text.length;
+	}
+
+	formatNumber(value) {
+		const number = Number(value);
+		return Number.isFinite(number)
+			? new Intl.NumberFormat(this.locale).format(number)
+			: String(value);
+	}
+
+	/**
+	 * Format a byte count in the current locale
+	 * @param {number} bytes - Size in bytes
+	 * @returns {string} e.g. "2.5 MB"
+	 */
+	formatBytes(bytes) {
+		const units = ["B", "KB", "MB", "GB", "TB"];
+		let value = bytes || 0;
+		let unit = 0;
+
+		while (value >= 1024 && unit < units.length - 1) {
+			value /= 1024;
+			unit++;
+		}
+
+		return `${new Intl.NumberFormat(this.locale, {
+			maximumFractionDigits: unit === 0 ? 0 : 1,
+		}).format(value)} ${units[unit]}`;
+	}
+}
+
+// The contact Worker imports the class without a page to load from
+if (typeof document !== "undefined") {
+	window.i18n = MessageCatalog.load();
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = MessageCatalog;
+}
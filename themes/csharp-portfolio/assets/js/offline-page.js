@@ -0,0 +1,317 @@
+/**
+ * Offline Page
+ * Lists the pages and projects that can still be opened from Cache Storage,
+ * checks connectivity against a lightweight ping URL with exponential
+ * backoff, and returns to the originally requested URL once the connection
+ * is back. Results are announced through the status text, an aria-live
+ * region.
+ */
+
+class OfflinePage {
+	/**
+	 * @param {HTMLElement} root - Element with `data-offline-page`
+	 */
+	constructor(root) {
+		this.root = root;
+		this.pingUrl = root.dataset.pingUrl || "/ping.txt";
+		this.cachePrefix = root.dataset.cachePrefix || "csharp-portfolio";
+		this.siteTitle = root.dataset.siteTitle || "";
+		this.statusDot = root.querySelector(".status-dot");
+		this.statusText = root.querySelector("[data-offline-status]");
+		this.retryTimer = null;
+		this.attempt = 0;
+		this.checking = false;
+		this.target = this.getTargetUrl();
+
+		this.init();
+	}
+
+	init() {
+		this.root
+			.querySelectorAll("[data-offline-check]")
+			.forEach((button) =>
+				button.addEventListener("click", () => this.checkNow(true))
+			);
+		this.root
+			.querySelectorAll("[data-offline-retry]")
+			.forEach((button) =>
+				button.addEventListener("click", () => this.returnToTarget())
+			);
+
+		window.addEventListener("online", () => this.checkNow(true));
+		window.addEventListener("offline", () =>
+			this.setStatus(
+				"disconnected",
+				window.i18n.t("offline.status.offline")
+			)
+		);
+
+		this.listCachedPages();
+		this.scheduleCheck();
+	}
+
+	/**
+	 * The page to return to: the URL the service worker answered with this page,
+	 * or `?from=` when /offline.html was opened directly
+	 * @returns {string} A same-origin URL
+	 */
+	getTargetUrl() {
+		const from = new URLSearchParams(window.location.search).get("from");
+
+		if (from) {
+			const url = new URL(from, window.location.origin);
+			if (url.origin === window.location.origin) {
+				return url.href;
+			}
+		}
+
+		return window.location.pathname === "/offline.html"
+			? new URL("/", window.location.origin).href
+			: window.location.href;
+	}
+
+	/**
+	 * Check connectivity now, restarting the backoff
+	 * @param {boolean} [announce] - Announce the check and its result
+	 */
+	checkNow(announce = false) {
+		this.attempt = 0;
+		this.check(announce);
+	}
+
+	/**
+	 * Ping the origin; go back to the target when it answers, back off otherwise.
+	 * Scheduled retries only update the dot, so the live region isn't chatty.
+	 * @param {boolean} [announce] - Announce the check and its result
+	 */
+	async check(announce = false) {
+		if (this.checking) {
+			return;
+		}
+
+		clearTimeout(this.retryTimer);
+		this.checking = true;
+		if (announce) {
+			this.setStatus(
+				"checking",
+				window.i18n.t("offline.status.checking")
+			);
+		}
+
+		const online = await this.ping();
+		this.checking = false;
+
+		if (online) {
+			this.setStatus(
+				"connected",
+				window.i18n.t("offline.status.restored")
+			);
+			setTimeout(() => this.returnToTarget(), 1500);
+			return;
+		}
+
+		this.attempt++;
+		const delay = this.scheduleCheck();
+		const message = window.i18n.t("offline.status.retrying", {
+			seconds: Math.round(delay / 1000),
+		});
+
+		if (announce) {
+			this.setStatus("disconnected", message);
+		} else if (this.statusDot) {
+			this.statusDot.className = "status-dot disconnected";
+		}
+	}
+
+	/**
+	 * Request the ping URL past every cache; HEAD requests skip the service worker
+	 * @returns {Promise<boolean>} True when the origin answered
+	 */
+	async ping() {
+		const controller = new AbortController();
+		const timeout = setTimeout(() => controller.abort(), 5000);
+
+		try {
+			const url = new URL(this.pingUrl, window.location.origin);
+			url.searchParams.set("t", Date.now());
+
+			const response = await fetch(url, {
+				method: "HEAD",
+				cache: "no-store",
+				signal: controller.signal,
+			});
+			return response.ok;
+		} catch (error) {
+			return false;
+		} finally {
+			clearTimeout(timeout);
+		}
+	}
+
+	/**
+	 * Schedule the next check: 2s, 4s, 8s ... up to a minute, with jitter
+	 * @returns {number} Delay in milliseconds
+	 */
+	scheduleCheck() {
+		const base = Math.min(2000 * 2 ** this.attempt, 60000);
+		const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+
+		clearTimeout(this.retryTimer);
+		this.retryTimer = setTimeout(() => this.check(), delay);
+
+		return delay;
+	}
+
+	returnToTarget() {
+		window.location.replace(this.target);
+	}
+
+	/**
+	 * Update the status indicator; the text is a live region
+	 * @param {string} state - "connected", "disconnected" or "checking"
+	 * @param {string} message - Status text
+	 */
+	setStatus(state, message) {
+		if (this.statusDot) {
+			this.statusDot.className = `status-dot ${state}`;
+		}
+		if (this.statusText) {
+			this.statusText.textContent = message;
+		}
+	}
+
+	/**
+	 * Fill the "Available offline" lists from the site's caches
+	 */
+	async listCachedPages() {
+		const container = this.root.querySelector("[data-offline-available]");
+		if (!container || typeof caches === "undefined") {
+			return;
+		}
+
+		let pages = [];
+		try {
+			pages = await this.getCachedPages();
+		} catch (error) {
+			console.warn("Failed to read cached pages:", error);
+			return;
+		}
+
+		const groups = { pages: [], projects: [] };
+		pages.forEach((page) =>
+			groups[
+				/^\/projects\/.+/.test(page.path) ? "projects" : "pages"
+			].push(page)
+		);
+
+		Object.entries(groups).forEach(([name, items]) => {
+			const group = container.querySelector(
+				`[data-offline-group="${name}"]`
+			);
+			if (!group) {
+				return;
+			}
+
+			const list = group.querySelector("ul");
+			items
+				.sort((a, b) => a.title.localeCompare(b.title))
+				.forEach((page) => {
+					const item = document.createElement("li");
+					const link = document.createElement("a");
+					link.href = page.path;
+					link.textContent = page.title;
+					item.appendChild(link);
+					list.appendChild(item);
+				});
+			group.hidden = items.length === 0;
+		});
+
+		container.hidden = pages.length === 0;
+	}
+
+	/**
+	 * Collect the HTML pages held in the site's caches
+	 * @returns {Promise<Array<{path: string, title: string}>>} Pages, one per path
+	 */
+	async getCachedPages() {
+		const pages = new Map();
+		// Saved pages are listed by the reading list
+		const cacheNames = (await caches.keys()).filter(
+			(name) =>
+				name.startsWith(`${this.cachePrefix}-`) &&
+				name !== `${this.cachePrefix}-saved`
+		);
+
+		for (const cacheName of cacheNames) {
+			const cache = await caches.open(cacheName);
+
+			for (const request of await cache.keys()) {
+				const url = new URL(request.url);
+				if (
+					url.origin !== window.location.origin ||
+					pages.has(url.pathname) ||
+					OfflinePage.excludedPaths.includes(url.pathname)
+				) {
+					continue;
+				}
+
+				const response = await cache.match(request);
+				const type =
+					(response && response.headers.get("Content-Type")) || "";
+				if (!type.includes("text/html")) {
+					continue;
+				}
+
+				pages.set(url.pathname, {
+					path: url.pathname,
+					title: this.getTitle(await response.text(), url.pathname),
+				});
+			}
+		}
+
+		return Array.from(pages.values());
+	}
+
+	/**
+	 * Page title without the " | Site" suffix
+	 * @param {string} html - Cached page
+	 * @param {string} path - Path used when the page has no title
+	 * @returns {string} The title
+	 */
+	getTitle(html, path) {
+		const title = new DOMParser()
+			.parseFromString(html, "text/html")
+			.title.replace(/\s+/g, " ")
+			.trim();
+		const suffix = ` | ${this.siteTitle}`;
+
+		if (!title) {
+			return path;
+		}
+
+		return this.siteTitle && title.endsWith(suffix)
+			? title.slice(0, -suffix.length)
+			: title;
+	}
+}
+
+// Error and offline pages aren't worth listing
+OfflinePage.excludedPaths = [
+	"/offline.html",
+	"/404.html",
+	"/500.html",
+	"/503.html",
+];
+
+// Initialize on the offline page
+document.addEventListener("DOMContentLoaded", function () {
+	const root = document.querySelector("[data-offline-page]");
+	if (root) {
+		window.offlinePage = new OfflinePage(root);
+	}
+});
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = OfflinePage;
+}
@@ -0,0 +1,101 @@
+/**
+ * Project Images
+ * Project screenshots are rendered with a low-quality placeholder and their
+ * real URL in `data-full-src` (partials/project-image.html). They load right
+ * away normally; in reduced-data mode they stay placeholders until tapped.
+ */
+
+class ProjectImageLoader {
+	/**
+	 * @param {DataSaver|null} dataSaver - Reduced-data mode, null when unavailable
+	 */
+	constructor(dataSaver) {
+		this.dataSaver = dataSaver;
+		this.images = Array.from(
+			document.querySelectorAll("img[data-full-src]")
+		);
+
+		this.init();
+	}
+
+	init() {
+		this.images.forEach((image) => {
+			if (this.isReducedData()) {
+				this.addLoadButton(image);
+			} else {
+				this.load(image);
+			}
+		});
+
+		document.addEventListener("reduceddatachange", (event) => {
+			if (!event.detail.enabled) {
+				this.images.forEach((image) => this.load(image));
+			}
+		});
+	}
+
+	isReducedData() {
+		return !!this.dataSaver && this.dataSaver.isEnabled();
+	}
+
+	/**
+	 * Put a "tap to load" button over a placeholder
+	 * @param {HTMLImageElement} image - Image with `data-full-src`
+	 */
+	addLoadButton(image) {
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "project-image__load";
+		button.textContent = window.i18n.t("images.load");
+		button.setAttribute(
+			"aria-label",
+			window.i18n.t("images.loadNamed", { name: image.alt })
+		);
+		button.addEventListener("click", () => {
+			this.load(image);
+			image.focus();
+		});
+
+		image.classList.add("is-placeholder");
+		image.insertAdjacentElement("afterend", button);
+		image.loadButton = button;
+	}
+
+	/**
+	 * Swap a placeholder for the full image
+	 * @param {HTMLImageElement} image - Image with `data-full-src`
+	 */
+	load(image) {
+		const src = image.getAttribute("data-full-src");
+		if (!src) {
+			return;
+		}
+
+		image.addEventListener(
+			"load",
+			() => image.classList.remove("is-placeholder"),
+			{ once: true }
+		);
+		image.src = src;
+		image.removeAttribute("data-full-src");
+
+		if (image.loadButton) {
+			image.loadButton.remove();
+			image.loadButton = null;
+			// Keeps focus somewhere sensible once the button is gone
+			image.tabIndex = -1;
+		}
+	}
+}
+
+// Initialize on pages with project images
+document.addEventListener("DOMContentLoaded", function () {
+	if (document.querySelector("img[data-full-src]")) {
+		window.projectImages = new ProjectImageLoader(window.dataSaver || null);
+	}
+});
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ProjectImageLoader;
+}
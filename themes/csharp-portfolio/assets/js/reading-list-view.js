@@ -0,0 +1,221 @@
+/**
+ * Reading List View
+ * Wires the "Save for offline" buttons of project and post pages, and renders
+ * the saved items with removal and storage usage wherever the reading list
+ * partial is included (the reading list page and the offline page).
+ */
+
+class ReadingListView {
+	/**
+	 * @param {ReadingList} readingList - Reading list storage
+	 */
+	constructor(readingList) {
+		this.readingList = readingList;
+		this.buttons = Array.from(
+			document.querySelectorAll("[data-save-offline]")
+		);
+		this.lists = Array.from(
+			document.querySelectorAll("[data-reading-list]")
+		);
+
+		this.init();
+	}
+
+	init() {
+		this.buttons.forEach((button) => this.initButton(button));
+		this.lists.forEach((container) => this.renderList(container));
+
+		document.addEventListener("readinglistchange", () => {
+			this.buttons.forEach((button) => this.updateButton(button));
+			this.lists.forEach((container) => this.renderList(container));
+		});
+	}
+
+	/**
+	 * @param {HTMLButtonElement} button - Save button
+	 */
+	async initButton(button) {
+		if (!ReadingList.isSupported()) {
+			return;
+		}
+
+		button.addEventListener("click", () => this.toggle(button));
+		await this.updateButton(button);
+		button.hidden = false;
+	}
+
+	/**
+	 * Reflect whether the button's page is saved
+	 * @param {HTMLButtonElement} button - Save button
+	 */
+	async updateButton(button) {
+		let saved = false;
+		try {
+			saved = !!(await this.readingList.get(this.getPageUrl(button)));
+		} catch (error) {
+			console.warn("Failed to read reading list:", error);
+		}
+
+		button.setAttribute("aria-pressed", String(saved));
+		button.querySelector("[data-save-offline-label]").textContent =
+			window.i18n.t(saved ? "readingList.saved" : "readingList.save");
+	}
+
+	getPageUrl(button) {
+		return new URL(
+			button.dataset.url || window.location.pathname,
+			window.location.origin
+		).href;
+	}
+
+	/**
+	 * Save the button's page, or remove it when already saved
+	 * @param {HTMLButtonElement} button - Save button
+	 */
+	async toggle(button) {
+		const url = this.getPageUrl(button);
+		const saved = button.getAttribute("aria-pressed") === "true";
+		const label = button.querySelector("[data-save-offline-label]");
+		const title = button.dataset.title || document.title;
+
+		button.disabled = true;
+		label.textContent = window.i18n.t(
+			saved ? "readingList.removing" : "readingList.saving"
+		);
+
+		try {
+			if (saved) {
+				await this.readingList.remove(url);
+				this.announce(window.i18n.t("readingList.removed", { title }));
+			} else {
+				await this.readingList.save({
+					url,
+					title,
+					date: button.dataset.date,
+					kind: button.dataset.kind,
+					resources: ReadingList.collectResources(),
+				});
+				this.announce(
+					window.i18n.t("readingList.savedAnnouncement", { title })
+				);
+			}
+		} catch (error) {
+			console.warn("Failed to update reading list:", error);
+			this.announce(window.i18n.t("readingList.failed", { title }));
+			await this.updateButton(button);
+		} finally {
+			button.disabled = false;
+		}
+	}
+
+	/**
+	 * Render the saved items and storage usage into a reading list container
+	 * @param {HTMLElement} container - Element with `data-reading-list`
+	 */
+	async renderList(container) {
+		const list = container.querySelector("[data-reading-list-items]");
+		const empty = container.querySelector("[data-reading-list-empty]");
+		const usage = container.querySelector("[data-reading-list-usage]");
+
+		let items = [];
+		try {
+			items = await this.readingList.getAll();
+		} catch (error) {
+			console.warn("Failed to read reading list:", error);
+		}
+
+		list.innerHTML = "";
+		items.forEach((item) => list.appendChild(this.createItem(item)));
+		list.hidden = items.length === 0;
+		if (empty) {
+			empty.hidden = items.length > 0;
+		}
+
+		if (usage) {
+			const estimate = await this.readingList.estimate();
+			usage.hidden = !estimate;
+			if (estimate) {
+				usage.textContent = window.i18n.t("readingList.usage", {
+					usage: window.i18n.formatBytes(estimate.usage),
+					quota: window.i18n.formatBytes(estimate.quota),
+				});
+			}
+		}
+	}
+
+	/**
+	 * @param {Object} item - Saved item
+	 * @returns {HTMLLIElement} The list item
+	 */
+	createItem(item) {
+		const entry = document.createElement("li");
+		entry.className = "reading-list__item";
+
+		const link = document.createElement("a");
+		link.className = "reading-list__title";
+		link.href = new URL(item.url).pathname;
+		link.textContent = item.title;
+
+		const meta = document.createElement("span");
+		meta.className = "reading-list__meta";
+		meta.textContent = [
+			window.i18n.t(`readingList.kind.${item.kind}`),
+			item.date ? this.formatDate(item.date) : null,
+		]
+			.filter(Boolean)
+			.join(" · ");
+
+		const remove = document.createElement("button");
+		remove.type = "button";
+		remove.className = "reading-list__remove";
+		remove.setAttribute(
+			"aria-label",
+			window.i18n.t("readingList.remove", { title: item.title })
+		);
+		remove.textContent = "×";
+		remove.addEventListener("click", async () => {
+			remove.disabled = true;
+			try {
+				await this.readingList.remove(item.url);
+				this.announce(
+					window.i18n.t("readingList.removed", { title: item.title })
+				);
+			} catch (error) {
+				console.warn("Failed to update reading list:", error);
+				remove.disabled = false;
+			}
+		});
+
+		entry.append(link, meta, remove);
+		return entry;
+	}
+
+	formatDate(date) {
+		return new Date(date).toLocaleDateString(window.i18n.locale, {
+			year: "numeric",
+			month: "long",
+			day: "numeric",
+		});
+	}
+
+	announce(message) {
+		if (window.announceToScreenReader) {
+			window.announceToScreenReader(message);
+		}
+	}
+}
+
+// Initialize on pages with a save button or a reading list
+document.addEventListener("DOMContentLoaded", function () {
+	if (
+		typeof indexedDB !== "undefined" &&
+		document.querySelector("[data-save-offline], [data-reading-list]")
+	) {
+		window.readingListView = new ReadingListView(new ReadingList());
+	}
+});
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ReadingListView;
+}
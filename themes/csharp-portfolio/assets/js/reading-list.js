@@ -0,0 +1,220 @@
+/**
+ * Reading List
+ * "Save for offline" storage: the service worker (assets/js/sw.js) stores a
+ * page with its images and fingerprinted assets in a dedicated cache, and
+ * IndexedDB records what was saved, with its title and date.
+ */
+
+class ReadingList {
+	constructor() {
+		this.dbName = "csharp-portfolio-reading-list";
+		this.storeName = "items";
+		this.dbPromise = null;
+	}
+
+	/**
+	 * Check whether pages can be saved: a service worker must control the page
+	 * to store and later serve them
+	 * @returns {boolean} True when saving is possible
+	 */
+	static isSupported() {
+		return (
+			typeof indexedDB !== "undefined" &&
+			typeof ServiceWorkerClient !== "undefined" &&
+			ServiceWorkerClient.isControlled()
+		);
+	}
+
+	/**
+	 * Same-origin resources a page needs to render offline
+	 * @param {Document} [doc] - The page
+	 * @returns {Array<string>} Absolute URLs of stylesheets, scripts, icons and images
+	 */
+	static collectResources(doc = document) {
+		const urls = new Set();
+		const add = (value) => {
+			if (!value) {
+				return;
+			}
+
+			const url = new URL(value, doc.baseURI);
+			url.hash = "";
+			if (url.origin === window.location.origin) {
+				urls.add(url.href);
+			}
+		};
+
+		doc.querySelectorAll(
+			'link[rel~="stylesheet"], link[rel~="icon"]'
+		).forEach((link) => add(link.getAttribute("href")));
+		doc.querySelectorAll("script[src]").forEach((script) =>
+			add(script.getAttribute("src"))
+		);
+		// Placeholders not yet swapped in (project-images.js) save the full image
+		doc.querySelectorAll("img").forEach((image) =>
+			add(
+				image.getAttribute("data-full-src") ||
+					image.currentSrc ||
+					image.getAttribute("src")
+			)
+		);
+
+		return Array.from(urls);
+	}
+
+	/**
+	 * Open (and create on first use) the reading list database
+	 * @returns {Promise<IDBDatabase>} The open database
+	 */
+	open() {
+		if (!this.dbPromise) {
+			this.dbPromise = new Promise((resolve, reject) => {
+				const request = indexedDB.open(this.dbName, 1);
+
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(this.storeName, {
+						keyPath: "url",
+					});
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+
+		return this.dbPromise;
+	}
+
+	/**
+	 * Run a single request against the items store
+	 * @param {string} mode - "readonly" or "readwrite"
+	 * @param {Function} operation - (store) => IDBRequest
+	 * @returns {Promise<*>} The request result
+	 */
+	async withStore(mode, operation) {
+		const db = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(this.storeName, mode);
+			const request = operation(transaction.objectStore(this.storeName));
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+
+	/**
+	 * Saved items, most recently saved first
+	 * @returns {Promise<Array<Object>>} The items
+	 */
+	async getAll() {
+		const items = await this.withStore("readonly", (store) =>
+			store.getAll()
+		);
+		return items.sort((a, b) => b.savedAt - a.savedAt);
+	}
+
+	get(url) {
+		return this.withStore("readonly", (store) => store.get(url));
+	}
+
+	/**
+	 * Save a page for offline reading
+	 * @param {Object} page - The page
+	 * @param {string} page.url - Page URL
+	 * @param {string} page.title - Page title
+	 * @param {string} [page.date] - Publication date (ISO 8601)
+	 * @param {string} [page.kind] - "project" or "post"
+	 * @param {Array<string>} [page.resources] - Images and assets, see collectResources()
+	 * @returns {Promise<Object>} The stored item
+	 */
+	async save(page) {
+		const url = new URL(page.url, window.location.origin).href;
+		const resources = (page.resources || []).filter(
+			(resource) => resource !== url
+		);
+
+		await ServiceWorkerClient.send({
+			type: "SAVE_FOR_OFFLINE",
+			urls: [url, ...resources],
+		});
+
+		const item = {
+			url,
+			title: page.title,
+			date: page.date || null,
+			kind: page.kind || "page",
+			resources,
+			savedAt: Date.now(),
+		};
+		await this.withStore("readwrite", (store) => store.put(item));
+
+		this.dispatchChangeEvent("saved", item);
+		return item;
+	}
+
+	/**
+	 * Remove a page, and the resources no other saved page uses
+	 * @param {string} url - Page URL
+	 */
+	async remove(url) {
+		const items = await this.getAll();
+		const item = items.find((candidate) => candidate.url === url);
+		if (!item) {
+			return;
+		}
+
+		const stillUsed = new Set(
+			items
+				.filter((other) => other !== item)
+				.flatMap((other) => other.resources)
+		);
+
+		await ServiceWorkerClient.send({
+			type: "REMOVE_FROM_OFFLINE",
+			urls: [
+				item.url,
+				...item.resources.filter(
+					(resource) => !stillUsed.has(resource)
+				),
+			],
+		});
+		await this.withStore("readwrite", (store) => store.delete(url));
+
+		this.dispatchChangeEvent("removed", item);
+	}
+
+	/**
+	 * Storage used by the origin, when the browser reports it
+	 * @returns {Promise<{usage: number, quota: number}|null>} The estimate
+	 */
+	async estimate() {
+		if (!navigator.storage || !navigator.storage.estimate) {
+			return null;
+		}
+
+		try {
+			return await navigator.storage.estimate();
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Dispatch a reading list event for other components to listen to
+	 * @param {string} action - "saved" or "removed"
+	 * @param {Object} item - The item
+	 */
+	dispatchChangeEvent(action, item) {
+		const event = new CustomEvent("readinglistchange", {
+			detail: { action, item, timestamp: Date.now() },
+		});
+
+		document.dispatchEvent(event);
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ReadingList;
+}
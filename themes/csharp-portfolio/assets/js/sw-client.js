@@ -0,0 +1,79 @@
+/**
+ * Service Worker Client
+ * Request/reply messaging with the service worker (assets/js/sw.js): each
+ * message carries a MessageChannel port, and the worker answers on it with
+ * `{ ok: true, result }` or `{ ok: false, error }`.
+ */
+
+class ServiceWorkerClient {
+	/**
+	 * Check whether a service worker controls this page
+	 * @returns {boolean} True when controlled
+	 */
+	static isControlled() {
+		return (
+			"serviceWorker" in navigator && !!navigator.serviceWorker.controller
+		);
+	}
+
+	/**
+	 * The worker to talk to: the controller, or the active worker of a page
+	 * loaded before the worker took control
+	 * @returns {Promise<ServiceWorker|null>} The worker
+	 */
+	static async getWorker() {
+		if (!("serviceWorker" in navigator)) {
+			return null;
+		}
+
+		if (navigator.serviceWorker.controller) {
+			return navigator.serviceWorker.controller;
+		}
+
+		const registration = await navigator.serviceWorker.getRegistration();
+		return (registration && registration.active) || null;
+	}
+
+	/**
+	 * Send a message and wait for the worker's reply
+	 * @param {Object} message - The message, with a `type`
+	 * @param {number} [timeout] - Milliseconds to wait, 0 waits indefinitely
+	 * @returns {Promise<*>} The reply's result
+	 */
+	static async send(message, timeout = 0) {
+		const worker = await ServiceWorkerClient.getWorker();
+		if (!worker) {
+			throw new Error("No active service worker");
+		}
+
+		return new Promise((resolve, reject) => {
+			const channel = new MessageChannel();
+			let timer = null;
+
+			if (timeout > 0) {
+				timer = setTimeout(() => {
+					channel.port1.close();
+					reject(new Error(`${message.type} timed out`));
+				}, timeout);
+			}
+
+			channel.port1.onmessage = (event) => {
+				const reply = event.data || {};
+				clearTimeout(timer);
+
+				if (reply.ok) {
+					resolve(reply.result);
+				} else {
+					reject(new Error(reply.error || "Service worker error"));
+				}
+			};
+
+			worker.postMessage(message, [channel.port2]);
+		});
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ServiceWorkerClient;
+}
@@ -0,0 +1,340 @@
+/**
+ * Service Worker Inspector
+ * Developer panel showing the worker version and every cache with its
+ * entries, sizes and dates, with single-entry eviction and clearing of
+ * everything but the pages saved for offline reading.
+ * Closed unless opened with `?sw-inspector` in the URL or Ctrl+Shift+F9,
+ * so deploys can be checked on any device without browser devtools.
+ */
+
+class ServiceWorkerInspector {
+	constructor() {
+		this.panel = null;
+		this.opener = null;
+
+		this.init();
+	}
+
+	/**
+	 * Check whether the URL asks for the inspector
+	 * @returns {boolean} True when `sw-inspector` is in the query string
+	 */
+	static isRequested() {
+		return new URLSearchParams(window.location.search).has("sw-inspector");
+	}
+
+	init() {
+		document.addEventListener("keydown", (event) => {
+			if (event.ctrlKey && event.shiftKey && event.key === "F9") {
+				event.preventDefault();
+				this.toggle();
+			}
+		});
+
+		if (ServiceWorkerInspector.isRequested()) {
+			this.open();
+		}
+	}
+
+	toggle() {
+		if (this.panel && !this.panel.hidden) {
+			this.close();
+		} else {
+			this.open();
+		}
+	}
+
+	open() {
+		if (!this.panel) {
+			this.createPanel();
+		}
+
+		this.opener = document.activeElement;
+		this.panel.hidden = false;
+		this.panel.focus();
+		this.refresh();
+	}
+
+	close() {
+		this.panel.hidden = true;
+
+		if (this.opener && this.opener.focus) {
+			this.opener.focus();
+		}
+	}
+
+	createPanel() {
+		const t = (key) => window.i18n.t(key);
+
+		this.panel = document.createElement("section");
+		this.panel.className = "sw-inspector";
+		this.panel.setAttribute("role", "dialog");
+		this.panel.setAttribute("aria-labelledby", "sw-inspector-title");
+		this.panel.tabIndex = -1;
+		this.panel.hidden = true;
+		this.panel.innerHTML = `
+            <div class="sw-inspector__header">
+                <h2 id="sw-inspector-title" class="sw-inspector__title"></h2>
+                <button type="button" class="sw-inspector__close">×</button>
+            </div>
+            <dl class="sw-inspector__worker"></dl>
+            <div class="sw-inspector__actions">
+                <button type="button" class="btn btn-secondary sw-inspector__refresh"></button>
+                <button type="button" class="btn btn-outline sw-inspector__clear"></button>
+            </div>
+            <p class="sw-inspector__status" role="status" aria-live="polite"></p>
+            <div class="sw-inspector__caches"></div>
+        `;
+
+		this.panel.querySelector(".sw-inspector__title").textContent =
+			t("inspector.title");
+		this.workerElement = this.panel.querySelector(".sw-inspector__worker");
+		this.statusElement = this.panel.querySelector(".sw-inspector__status");
+		this.cachesElement = this.panel.querySelector(".sw-inspector__caches");
+
+		const closeButton = this.panel.querySelector(".sw-inspector__close");
+		closeButton.setAttribute("aria-label", t("inspector.close"));
+		closeButton.addEventListener("click", () => this.close());
+
+		const refreshButton = this.panel.querySelector(
+			".sw-inspector__refresh"
+		);
+		refreshButton.textContent = t("inspector.refresh");
+		refreshButton.addEventListener("click", () => this.refresh());
+
+		const clearButton = this.panel.querySelector(".sw-inspector__clear");
+		clearButton.textContent = t("inspector.clear");
+		clearButton.addEventListener("click", () => this.clearAll());
+
+		this.panel.addEventListener("keydown", (event) => {
+			if (event.key === "Escape") {
+				this.close();
+			}
+		});
+
+		document.body.appendChild(this.panel);
+	}
+
+	/**
+	 * Reload the worker description and the cache list
+	 */
+	async refresh() {
+		this.setStatus(window.i18n.t("inspector.loading"));
+
+		try {
+			const [worker, cacheList] = await Promise.all([
+				ServiceWorkerClient.send({ type: "GET_VERSION" }, 10000),
+				ServiceWorkerClient.send({ type: "LIST_CACHES" }, 10000),
+			]);
+
+			this.renderWorker(worker);
+			this.renderCaches(cacheList);
+			this.setStatus(
+				window.i18n.t("inspector.loaded", { count: cacheList.length })
+			);
+		} catch (error) {
+			this.renderWorker(null);
+			this.cachesElement.innerHTML = "";
+			this.setStatus(
+				window.i18n.t("inspector.unavailable", { error: error.message })
+			);
+		}
+	}
+
+	/**
+	 * @param {Object|null} worker - GET_VERSION result
+	 */
+	renderWorker(worker) {
+		const t = (key) => window.i18n.t(key);
+		const controlled =
+			typeof ServiceWorkerClient !== "undefined" &&
+			ServiceWorkerClient.isControlled();
+		const rows = worker
+			? [
+					[t("inspector.version"), worker.version],
+					[t("inspector.cachePrefix"), worker.cachePrefix],
+					[t("inspector.precache"), worker.precacheEntries],
+					[
+						t("inspector.controlled"),
+						t(controlled ? "inspector.yes" : "inspector.no"),
+					],
+			  ]
+			: [];
+
+		this.workerElement.innerHTML = "";
+		rows.forEach(([label, value]) => {
+			const term = document.createElement("dt");
+			const description = document.createElement("dd");
+			term.textContent = label;
+			description.textContent = String(value);
+			this.workerElement.append(term, description);
+		});
+	}
+
+	/**
+	 * One disclosure per cache; entries load when it is opened
+	 * @param {Array<Object>} cacheList - LIST_CACHES result
+	 */
+	renderCaches(cacheList) {
+		this.cachesElement.innerHTML = "";
+
+		cacheList.forEach((cacheInfo) => {
+			const details = document.createElement("details");
+			details.className = "sw-inspector__cache";
+
+			const summary = document.createElement("summary");
+			summary.textContent = window.i18n.t("inspector.cacheSummary", {
+				name: cacheInfo.name,
+				count: cacheInfo.entries,
+				size: window.i18n.formatBytes(cacheInfo.size),
+			});
+
+			details.appendChild(summary);
+			details.addEventListener("toggle", () => {
+				if (details.open) {
+					this.loadEntries(details, cacheInfo.name);
+				}
+			});
+
+			this.cachesElement.appendChild(details);
+		});
+	}
+
+	/**
+	 * @param {HTMLDetailsElement} details - The cache's disclosure
+	 * @param {string} cacheName - The cache
+	 */
+	async loadEntries(details, cacheName) {
+		const previous = details.querySelector("table");
+		if (previous) {
+			previous.remove();
+		}
+
+		try {
+			const entries = await ServiceWorkerClient.send(
+				{ type: "LIST_CACHE_ENTRIES", cacheName },
+				10000
+			);
+			details.appendChild(this.createTable(cacheName, entries));
+		} catch (error) {
+			this.setStatus(
+				window.i18n.t("inspector.unavailable", { error: error.message })
+			);
+		}
+	}
+
+	/**
+	 * @param {string} cacheName - The cache
+	 * @param {Array<Object>} entries - LIST_CACHE_ENTRIES result
+	 * @returns {HTMLTableElement} The entry table
+	 */
+	createTable(cacheName, entries) {
+		const t = (key) => window.i18n.t(key);
+		const table = document.createElement("table");
+		table.className = "sw-inspector__entries";
+		table.innerHTML = `
+            <thead><tr><th scope="col"></th><th scope="col"></th><th scope="col"></th><th scope="col"></th></tr></thead>
+            <tbody></tbody>
+        `;
+
+		const headings = table.querySelectorAll("th");
+		headings[0].textContent = t("inspector.url");
+		headings[1].textContent = t("inspector.size");
+		headings[2].textContent = t("inspector.date");
+		headings[3].textContent = t("inspector.actions");
+
+		const body = table.querySelector("tbody");
+		entries.forEach((entry) => {
+			const url = new URL(entry.url);
+			const path =
+				url.origin === window.location.origin
+					? url.pathname + url.search
+					: url.href;
+			const time = entry.cachedAt || entry.date;
+			const row = document.createElement("tr");
+
+			[
+				path,
+				window.i18n.formatBytes(entry.size),
+				time ? new Date(time).toLocaleString(window.i18n.locale) : "–",
+			].forEach((value) => {
+				const cell = document.createElement("td");
+				cell.textContent = value;
+				row.appendChild(cell);
+			});
+
+			const actionCell = document.createElement("td");
+			const evict = document.createElement("button");
+			evict.type = "button";
+			evict.className = "sw-inspector__evict";
+			evict.textContent = t("inspector.evict");
+			evict.setAttribute(
+				"aria-label",
+				window.i18n.t("inspector.evictEntry", { url: path })
+			);
+			evict.addEventListener("click", () =>
+				this.evict(cacheName, entry.url, row)
+			);
+			actionCell.appendChild(evict);
+			row.appendChild(actionCell);
+
+			body.appendChild(row);
+		});
+
+		return table;
+	}
+
+	async evict(cacheName, url, row) {
+		try {
+			await ServiceWorkerClient.send(
+				{ type: "EVICT_CACHE_ENTRY", cacheName, url },
+				10000
+			);
+			row.remove();
+			this.setStatus(window.i18n.t("inspector.evicted", { url }));
+		} catch (error) {
+			this.setStatus(
+				window.i18n.t("inspector.unavailable", { error: error.message })
+			);
+		}
+	}
+
+	async clearAll() {
+		try {
+			const cleared = await ServiceWorkerClient.send(
+				{ type: "CLEAR_CACHES" },
+				10000
+			);
+			await this.refresh();
+			this.setStatus(
+				window.i18n.t("inspector.cleared", { count: cleared.length })
+			);
+		} catch (error) {
+			this.setStatus(
+				window.i18n.t("inspector.unavailable", { error: error.message })
+			);
+		}
+	}
+
+	setStatus(message) {
+		this.statusElement.textContent = message;
+	}
+}
+
+// Available wherever the service worker is registered, unless disabled
+window.addEventListener("load", function () {
+	const config =
+		typeof ServiceWorkerUpdateNotifier !== "undefined" &&
+		ServiceWorkerUpdateNotifier.isSupported()
+			? ServiceWorkerUpdateNotifier.loadConfig()
+			: null;
+
+	if (config && config.inspector !== false) {
+		window.serviceWorkerInspector = new ServiceWorkerInspector();
+	}
+});
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ServiceWorkerInspector;
+}
@@ -0,0 +1,215 @@
+/**
+ * Service Worker Updates
+ * Registers the service worker and lets the visitor decide when a new
+ * deployment takes over: a waiting worker shows a "New version available"
+ * toast, the choice is sent to the worker with postMessage, and the page
+ * reloads once the new worker controls it.
+ */
+
+class ServiceWorkerUpdateNotifier {
+	/**
+	 * @param {Object} options - Configuration rendered by partials/service-worker.html
+	 * @param {string} options.url - Service worker script URL
+	 */
+	constructor(options = {}) {
+		this.url = options.url || "/sw.js";
+		this.registration = null;
+		this.waitingWorker = null;
+		this.reloadRequested = false;
+		this.reloading = false;
+		// The first install claims the page; that isn't an update
+		this.hadController = !!navigator.serviceWorker.controller;
+
+		this.createToast();
+		this.init();
+	}
+
+	static isSupported() {
+		return "serviceWorker" in navigator;
+	}
+
+	/**
+	 * Read the configuration rendered by partials/service-worker.html
+	 * @returns {Object|null} The configuration, null when the worker is disabled
+	 */
+	static loadConfig() {
+		const configElement = document.getElementById("service-worker-config");
+		if (!configElement) {
+			return null;
+		}
+
+		try {
+			return JSON.parse(configElement.textContent);
+		} catch (error) {
+			console.error("Invalid service worker configuration:", error);
+			return null;
+		}
+	}
+
+	async init() {
+		navigator.serviceWorker.addEventListener("controllerchange", () =>
+			this.handleControllerChange()
+		);
+
+		try {
+			this.registration = await navigator.serviceWorker.register(
+				this.url
+			);
+		} catch (error) {
+			console.warn("Service worker registration failed:", error);
+			return;
+		}
+
+		// A worker installed during an earlier visit may already be waiting
+		if (this.registration.waiting && navigator.serviceWorker.controller) {
+			this.showUpdate(this.registration.waiting);
+		}
+
+		this.registration.addEventListener("updatefound", () =>
+			this.trackInstalling(this.registration.installing)
+		);
+
+		// Long-lived tabs check for a deployment when they're shown again
+		document.addEventListener("visibilitychange", () => {
+			if (document.visibilityState === "visible") {
+				this.registration.update().catch(() => {});
+			}
+		});
+	}
+
+	/**
+	 * Offer the update once an installing worker is ready and waiting
+	 * @param {ServiceWorker|null} worker - The installing worker
+	 */
+	trackInstalling(worker) {
+		if (!worker) {
+			return;
+		}
+
+		worker.addEventListener("statechange", () => {
+			if (
+				worker.state === "installed" &&
+				navigator.serviceWorker.controller
+			) {
+				this.showUpdate(worker);
+			}
+		});
+	}
+
+	handleControllerChange() {
+		if (!this.hadController) {
+			this.hadController = true;
+			return;
+		}
+
+		if (this.reloadRequested) {
+			this.reload();
+			return;
+		}
+
+		// Another tab accepted the update; this page still runs the old assets
+		this.waitingWorker = null;
+		this.showToast();
+	}
+
+	/**
+	 * Show the toast for a waiting worker
+	 * @param {ServiceWorker} worker - The waiting worker
+	 */
+	showUpdate(worker) {
+		this.waitingWorker = worker;
+		this.showToast();
+	}
+
+	/**
+	 * Ask the waiting worker to take over; the page reloads on controllerchange
+	 */
+	applyUpdate() {
+		this.reloadButton.disabled = true;
+		this.reloadButton.textContent = window.i18n.t("update.reloading");
+
+		if (!this.waitingWorker) {
+			this.reload();
+			return;
+		}
+
+		this.reloadRequested = true;
+		this.waitingWorker.postMessage({ type: "SKIP_WAITING" });
+	}
+
+	reload() {
+		if (this.reloading) {
+			return;
+		}
+
+		this.reloading = true;
+		window.location.reload();
+	}
+
+	/**
+	 * Create the toast once, so its live region exists before it is filled
+	 */
+	createToast() {
+		this.toast = document.createElement("div");
+		this.toast.className = "update-toast";
+		this.toast.setAttribute("role", "status");
+		this.toast.setAttribute("aria-live", "polite");
+		this.toast.hidden = true;
+		this.toast.innerHTML = `
+            <span class="update-toast__message"></span>
+            <button type="button" class="btn btn-primary update-toast__reload"></button>
+            <button type="button" class="update-toast__dismiss"></button>
+        `;
+
+		this.message = this.toast.querySelector(".update-toast__message");
+		this.reloadButton = this.toast.querySelector(".update-toast__reload");
+		this.dismissButton = this.toast.querySelector(".update-toast__dismiss");
+
+		this.reloadButton.addEventListener("click", () => this.applyUpdate());
+		this.dismissButton.addEventListener("click", () => this.hideToast());
+		this.toast.addEventListener("keydown", (event) => {
+			if (event.key === "Escape") {
+				this.hideToast();
+			}
+		});
+
+		document.body.appendChild(this.toast);
+	}
+
+	showToast() {
+		const t = (key) => window.i18n.t(key);
+
+		this.reloadButton.disabled = false;
+		this.reloadButton.textContent = t("update.reload");
+		this.dismissButton.textContent = "×";
+		this.dismissButton.setAttribute("aria-label", t("update.dismiss"));
+		this.toast.hidden = false;
+
+		// Filled after it is shown so screen readers announce it; focus stays put
+		this.message.textContent = t("update.available");
+	}
+
+	/**
+	 * Hide the toast; a dismissed update applies once every tab is closed
+	 */
+	hideToast() {
+		this.toast.hidden = true;
+		this.message.textContent = "";
+	}
+}
+
+// Register the service worker when the page has loaded
+window.addEventListener("load", function () {
+	const config = ServiceWorkerUpdateNotifier.isSupported()
+		? ServiceWorkerUpdateNotifier.loadConfig()
+		: null;
+
+	if (config) {
+		window.serviceWorkerUpdates = new ServiceWorkerUpdateNotifier(config);
+	}
+});
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ServiceWorkerUpdateNotifier;
+}
@@ -0,0 +1,794 @@
+// Service Worker for C# Portfolio Theme
+// Provides offline caching and performance optimization
+// Built by partials/service-worker.html, which prepends the precache manifest
+// (self.__PRECACHE) of the real, fingerprinted asset URLs
+
+const PRECACHE = self.__PRECACHE || { version: "dev", entries: [] };
+
+// Runtime caching, one named cache per strategy. Overridden by
+// `params.serviceWorker` (self.__SW_CONFIG, see partials/service-worker.html)
+const SW_CONFIG = mergeConfig(
+	{
+		cachePrefix: "csharp-portfolio",
+		routes: {
+			// HTML navigations: network-first, cached copy after `timeout` seconds
+			pages: { cacheName: "pages", timeout: 3, maxEntries: 50 },
+			// CSS and JS: stale-while-revalidate
+			assets: { cacheName: "assets", maxEntries: 60 },
+			// /images/*: cache-first, least recently used evicted, `maxAge` in days
+			images: { cacheName: "images", maxEntries: 60, maxAge: 30 },
+		},
+	},
+	self.__SW_CONFIG || {}
+);
+
+const PRECACHE_CACHE = `${SW_CONFIG.cachePrefix}-precache`;
+// Pages saved for offline reading (assets/js/reading-list.js), never trimmed
+const SAVED_CACHE = `${SW_CONFIG.cachePrefix}-saved`;
+// Worker settings sent by pages, kept across worker restarts
+const SETTINGS_CACHE = `${SW_CONFIG.cachePrefix}-settings`;
+const REDUCED_DATA_KEY = "/__sw/reduced-data";
+const RECENCY_KEY = "/__sw/recency";
+
+// Deep merge that ignores unset (null) overrides
+function mergeConfig(defaults, overrides) {
+	const merged = { ...defaults };
+
+	Object.entries(overrides).forEach(([key, value]) => {
+		if (value === null || value === undefined) {
+			return;
+		}
+		merged[key] =
+			typeof value === "object" && typeof defaults[key] === "object"
+				? mergeConfig(defaults[key], value)
+				: value;
+	});
+
+	return merged;
+}
+
+function cacheNameFor(route) {
+	return `${SW_CONFIG.cachePrefix}-${route.cacheName}`;
+}
+
+// Cache key of a manifest entry; the revision makes changed content a new key
+function precacheKey(entry) {
+	const url = new URL(entry.url, self.location.origin);
+	if (entry.revision) {
+		url.searchParams.set("__revision", entry.revision);
+	}
+	return url.href;
+}
+
+// Cache keys of the current manifest, keyed by plain URL
+const PRECACHE_KEYS = new Map(
+	PRECACHE.entries.map((entry) => [
+		new URL(entry.url, self.location.origin).href,
+		precacheKey(entry),
+	])
+);
+
+// Match a request against the precache
+async function matchPrecache(request) {
+	const url = new URL(
+		typeof request === "string" ? request : request.url,
+		self.location.origin
+	);
+	url.hash = "";
+	const key = PRECACHE_KEYS.get(url.href);
+
+	if (!key) {
+		return undefined;
+	}
+
+	const cache = await caches.open(PRECACHE_CACHE);
+	return cache.match(key);
+}
+
+// Match a request against the pages and resources saved for offline reading
+async function matchSaved(request) {
+	const cache = await caches.open(SAVED_CACHE);
+	return cache.match(request, { ignoreVary: true });
+}
+
+// Store a page and its resources for offline reading
+async function saveForOffline(urls) {
+	const cache = await caches.open(SAVED_CACHE);
+
+	await Promise.all(
+		urls
+			.filter((url) => new URL(url).origin === self.location.origin)
+			.map(async (url) => {
+				const response = await fetch(
+					new Request(url, { credentials: "same-origin" })
+				);
+				if (!response.ok) {
+					throw new Error(
+						`Saving ${url} failed with HTTP ${response.status}`
+					);
+				}
+
+				await cache.put(url, response);
+			})
+	);
+}
+
+async function removeFromOffline(urls) {
+	const cache = await caches.open(SAVED_CACHE);
+	await Promise.all(urls.map((url) => cache.delete(url)));
+}
+
+// Fetch and store the entries that aren't cached at their current revision
+async function precache() {
+	const cache = await caches.open(PRECACHE_CACHE);
+
+	await Promise.all(
+		PRECACHE.entries.map(async (entry) => {
+			const key = precacheKey(entry);
+			if (await cache.match(key)) {
+				return;
+			}
+
+			// Bypass the HTTP cache so a new revision is never filled with old bytes
+			const response = await fetch(
+				new Request(entry.url, {
+					cache: "reload",
+					credentials: "same-origin",
+				})
+			);
+			if (!response.ok) {
+				throw new Error(
+					`Precaching ${entry.url} failed with HTTP ${response.status}`
+				);
+			}
+
+			await cache.put(key, response);
+		})
+	);
+}
+
+// Drop precached revisions that left the manifest, and caches of older workers
+async function cleanupCaches() {
+	const cache = await caches.open(PRECACHE_CACHE);
+	const current = new Set(PRECACHE_KEYS.values());
+	const requests = await cache.keys();
+
+	await Promise.all(
+		requests
+			.filter((request) => !current.has(request.url))
+			.map((request) => cache.delete(request))
+	);
+
+	const cacheNames = await caches.keys();
+	await Promise.all(
+		cacheNames
+			.filter(
+				(cacheName) =>
+					cacheName !== PRECACHE_CACHE &&
+					cacheName !== SAVED_CACHE &&
+					cacheName !== SETTINGS_CACHE &&
+					!ROUTES.some((route) => cacheNameFor(route) === cacheName)
+			)
+			.map((cacheName) => caches.delete(cacheName))
+	);
+}
+
+// Install event - precache new and changed manifest entries. The new worker
+// then waits until the visitor accepts the update (SKIP_WAITING, sw-update.js)
+self.addEventListener("install", (event) => {
+	event.waitUntil(precache());
+});
+
+// Let navigations start while the worker boots; the response arrives as
+// event.preloadResponse
+async function enableNavigationPreload() {
+	if (self.registration.navigationPreload) {
+		await self.registration.navigationPreload.enable();
+	}
+}
+
+// Activate event - clean up old revisions and caches
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		Promise.all([cleanupCaches(), enableNavigationPreload()]).then(() =>
+			self.clients.claim()
+		)
+	);
+});
+
+// Only complete same-origin responses are cached
+function isCacheable(response) {
+	return response && response.status === 200 && response.type === "basic";
+}
+
+// Stamp a response with the time it was cached, for `maxAge`
+function stampResponse(response) {
+	const headers = new Headers(response.headers);
+	headers.set("sw-cached-at", String(Date.now()));
+
+	return response.blob().then(
+		(body) =>
+			new Response(body, {
+				status: response.status,
+				statusText: response.statusText,
+				headers,
+			})
+	);
+}
+
+function isExpired(response, route) {
+	const cachedAt = Number(response.headers.get("sw-cached-at"));
+	return (
+		!!route.maxAge &&
+		!!cachedAt &&
+		Date.now() - cachedAt > route.maxAge * 24 * 60 * 60 * 1000
+	);
+}
+
+// Reduced-data mode chosen on the page (assets/js/data-saver.js), read once
+// per worker start
+let reducedDataSetting = null;
+
+function getReducedDataSetting() {
+	if (!reducedDataSetting) {
+		reducedDataSetting = caches
+			.open(SETTINGS_CACHE)
+			.then((cache) => cache.match(REDUCED_DATA_KEY))
+			.then((response) => (response ? response.json() : false))
+			.catch(() => false);
+	}
+
+	return reducedDataSetting;
+}
+
+async function setReducedData(enabled) {
+	const cache = await caches.open(SETTINGS_CACHE);
+	await cache.put(REDUCED_DATA_KEY, new Response(JSON.stringify(!!enabled)));
+	reducedDataSetting = Promise.resolve(!!enabled);
+}
+
+// Save-Data requests and reduced-data mode skip runtime caching
+async function isReducedData(request) {
+	if (request.headers.get("Save-Data") === "on") {
+		return true;
+	}
+
+	return getReducedDataSetting();
+}
+
+// Last use of runtime cache entries by cache name and URL, for least recently
+// used eviction. Kept apart from the responses, so a cache hit neither
+// rewrites the body nor moves its `sw-cached-at` stamp
+let recency = null;
+let recencyWrite = Promise.resolve();
+
+function getRecency() {
+	if (!recency) {
+		recency = caches
+			.open(SETTINGS_CACHE)
+			.then((cache) => cache.match(RECENCY_KEY))
+			.then((response) => (response ? response.json() : {}))
+			.catch(() => ({}));
+	}
+
+	return recency;
+}
+
+// Writes are chained, so an older copy never lands last
+function saveRecency() {
+	recencyWrite = recencyWrite
+		.then(async () => {
+			const entries = await getRecency();
+			const cache = await caches.open(SETTINGS_CACHE);
+			await cache.put(RECENCY_KEY, new Response(JSON.stringify(entries)));
+		})
+		.catch((error) => {
+			console.warn("Failed to store cache recency:", error);
+		});
+
+	return recencyWrite;
+}
+
+async function markUsed(cacheName, url) {
+	const entries = await getRecency();
+	entries[cacheName] = { ...entries[cacheName], [url]: Date.now() };
+	return saveRecency();
+}
+
+// Store a response and evict the least recently used entries over `maxEntries`
+async function putInCache(route, request, response) {
+	if (await isReducedData(request)) {
+		return;
+	}
+
+	const cacheName = cacheNameFor(route);
+	const cache = await caches.open(cacheName);
+
+	await cache.put(request, await stampResponse(response));
+	await markUsed(cacheName, request.url);
+
+	if (route.maxEntries) {
+		const entries = await getRecency();
+		const used = entries[cacheName] || {};
+		// Entries without a recorded use count as the least recent
+		const requests = (await cache.keys()).sort(
+			(a, b) => (used[a.url] || 0) - (used[b.url] || 0)
+		);
+		const excess = Math.max(0, requests.length - route.maxEntries);
+
+		await Promise.all(
+			requests.slice(0, excess).map((oldest) => cache.delete(oldest))
+		);
+
+		// Forget evicted entries and those removed by other means
+		entries[cacheName] = Object.fromEntries(
+			requests
+				.slice(excess)
+				.map((kept) => [kept.url, used[kept.url] || 0])
+		);
+		await saveRecency();
+	}
+}
+
+// Seconds until a Retry-After header (delay in seconds or HTTP date) expires
+function parseRetryAfter(value) {
+	if (!value) {
+		return null;
+	}
+
+	const seconds = /^\d+$/.test(value.trim())
+		? Number(value)
+		: Math.ceil((Date.parse(value) - Date.now()) / 1000);
+
+	return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+// The themed error page answering for a 5xx response: same status, with its
+// Retry-After header and, for the page's script, a retry-after meta tag
+async function errorPageResponse(page, response) {
+	const headers = new Headers(page.headers);
+	const retryAfter = response.headers.get("Retry-After");
+	const seconds = parseRetryAfter(retryAfter);
+	let html = await page.text();
+
+	if (retryAfter) {
+		headers.set("Retry-After", retryAfter);
+	}
+	if (seconds !== null) {
+		html = html.replace(
+			"</head>",
+			`<meta name="retry-after" content="${seconds}">\n</head>`
+		);
+	}
+
+	return new Response(html, {
+		status: response.status,
+		statusText: response.statusText,
+		headers,
+	});
+}
+
+// A 5xx page from the origin: the last good copy of the page if there is one,
+// the themed 503 or 500 page otherwise
+async function serverErrorFallback(request, cache, response) {
+	const cachedResponse =
+		(await cache.match(request)) ||
+		(await matchSaved(request)) ||
+		(await matchPrecache(request));
+	if (cachedResponse) {
+		return cachedResponse;
+	}
+
+	const errorPage = await matchPrecache(
+		response.status === 503 ? "/503.html" : "/500.html"
+	);
+	return errorPage ? errorPageResponse(errorPage, response) : response;
+}
+
+// Network-first with a timeout: a slow network falls back to the cached page,
+// an unreachable one to the cached page, the precache, then the offline page.
+// Server errors fall back to the cached page, then the themed error page
+async function networkFirst(event, route) {
+	const request = event.request;
+	const cache = await caches.open(cacheNameFor(route));
+	// Navigations use the preloaded response when navigation preload is enabled
+	const network = Promise.resolve(event.preloadResponse)
+		.then((preloaded) => preloaded || fetch(request))
+		.then((response) => {
+			if (isCacheable(response)) {
+				event.waitUntil(putInCache(route, request, response.clone()));
+			}
+			return response;
+		});
+	const timeout = new Promise((resolve) =>
+		setTimeout(resolve, route.timeout * 1000)
+	);
+
+	// Keep the worker alive until the page is cached, even after a timeout
+	event.waitUntil(network.catch(() => {}));
+
+	let response;
+	try {
+		// Timed out: answer from the cache, or keep waiting for the network
+		response =
+			(await Promise.race([network, timeout])) ||
+			(await cache.match(request)) ||
+			(await matchSaved(request)) ||
+			(await network);
+	} catch (error) {
+		return (
+			(await cache.match(request)) ||
+			(await matchSaved(request)) ||
+			(await matchPrecache(request)) ||
+			(await matchPrecache("/offline.html"))
+		);
+	}
+
+	return response.status >= 500
+		? serverErrorFallback(request, cache, response)
+		: response;
+}
+
+// Stale-while-revalidate: answer from the cache and refresh it in the background
+async function staleWhileRevalidate(event, route) {
+	const request = event.request;
+	const cache = await caches.open(cacheNameFor(route));
+	const cachedResponse = await cache.match(request);
+	const network = fetch(request).then((response) => {
+		if (isCacheable(response)) {
+			return putInCache(route, request, response.clone()).then(
+				() => response
+			);
+		}
+		return response;
+	});
+
+	if (cachedResponse) {
+		event.waitUntil(network.catch(() => {}));
+		return cachedResponse;
+	}
+
+	return network;
+}
+
+// Cache-first with expiry: fresh cached copies are served without the network
+async function cacheFirst(event, route) {
+	const request = event.request;
+	const cache = await caches.open(cacheNameFor(route));
+	const cachedResponse = await cache.match(request);
+
+	if (cachedResponse && !isExpired(cachedResponse, route)) {
+		event.waitUntil(markUsed(cacheNameFor(route), request.url));
+		return cachedResponse;
+	}
+
+	try {
+		const response = await fetch(request);
+		if (isCacheable(response)) {
+			event.waitUntil(putInCache(route, request, response.clone()));
+		}
+		return response;
+	} catch (error) {
+		// An expired copy beats no image at all
+		if (cachedResponse) {
+			return cachedResponse;
+		}
+		throw error;
+	}
+}
+
+// Route table: the first matching route handles a request, the rest go to the network
+const ROUTES = [
+	{
+		...SW_CONFIG.routes.pages,
+		match: (request) =>
+			request.mode === "navigate" ||
+			(request.headers.get("Accept") || "").includes("text/html"),
+		handler: networkFirst,
+	},
+	{
+		...SW_CONFIG.routes.assets,
+		match: (request, url) => /\.(?:css|js)$/.test(url.pathname),
+		handler: staleWhileRevalidate,
+	},
+	{
+		...SW_CONFIG.routes.images,
+		match: (request, url) => url.pathname.startsWith("/images/"),
+		handler: cacheFirst,
+	},
+];
+
+// Fetch event - precached assets first, then the route table
+self.addEventListener("fetch", (event) => {
+	// Skip non-GET requests
+	if (event.request.method !== "GET") {
+		return;
+	}
+
+	// Skip external requests
+	if (!event.request.url.startsWith(self.location.origin)) {
+		return;
+	}
+
+	const url = new URL(event.request.url);
+	const route = ROUTES.find((candidate) =>
+		candidate.match(event.request, url)
+	);
+
+	// Pages are precached only as an offline fallback, they're served network-first
+	if (route && route.handler === networkFirst) {
+		event.respondWith(route.handler(event, route));
+		return;
+	}
+
+	event.respondWith(
+		matchPrecache(event.request).then((precachedResponse) => {
+			if (precachedResponse) {
+				return precachedResponse;
+			}
+
+			return (
+				route ? route.handler(event, route) : fetch(event.request)
+			).catch(async (error) => {
+				// Offline: resources of pages saved for offline reading
+				const savedResponse = await matchSaved(event.request);
+				if (savedResponse) {
+					return savedResponse;
+				}
+				throw error;
+			});
+		})
+	);
+});
+
+// Contact form outbox - keep in sync with assets/js/contact-queue.js
+const CONTACT_QUEUE_DB = "csharp-portfolio-contact";
+const CONTACT_QUEUE_STORE = "outbox";
+const CONTACT_QUEUE_SYNC_TAG = "contact-queue";
+const CONTACT_QUEUE_MAX_ATTEMPTS = 10;
+
+function openContactQueue() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(CONTACT_QUEUE_DB, 1);
+
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(CONTACT_QUEUE_STORE, {
+				keyPath: "id",
+				autoIncrement: true,
+			});
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+function contactQueueRequest(db, mode, operation) {
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(CONTACT_QUEUE_STORE, mode);
+		const request = operation(transaction.objectStore(CONTACT_QUEUE_STORE));
+
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+}
+
+async function notifyClients(message) {
+	const clientList = await self.clients.matchAll({
+		includeUncontrolled: true,
+		type: "window",
+	});
+
+	clientList.forEach((client) => client.postMessage(message));
+}
+
+// Replay queued contact submissions, rejecting while any remain so sync retries
+let contactQueueReplay = null;
+
+function replayContactQueue() {
+	// Sync and message triggers can overlap; share one replay so nothing is sent twice
+	if (!contactQueueReplay) {
+		contactQueueReplay = runContactQueueReplay().finally(() => {
+			contactQueueReplay = null;
+		});
+	}
+
+	return contactQueueReplay;
+}
+
+async function runContactQueueReplay() {
+	const db = await openContactQueue();
+	const entries = await contactQueueRequest(db, "readonly", (store) =>
+		store.getAll()
+	);
+	let pending = 0;
+
+	for (const entry of entries) {
+		// ContactQueueDelivery comes from assets/js/contact-queue-delivery.js
+		const result = await ContactQueueDelivery.deliver(entry);
+
+		if (result.status === "delivered") {
+			await contactQueueRequest(db, "readwrite", (store) =>
+				store.delete(entry.id)
+			);
+			await notifyClients({
+				type: "CONTACT_QUEUE_DELIVERED",
+				id: entry.id,
+				subject: entry.subject,
+				service: result.service,
+			});
+			continue;
+		}
+
+		// A rejected message would be rejected again, so only pending ones are kept
+		entry.attempts += 1;
+		if (
+			result.status === "rejected" ||
+			entry.attempts >= CONTACT_QUEUE_MAX_ATTEMPTS
+		) {
+			await contactQueueRequest(db, "readwrite", (store) =>
+				store.delete(entry.id)
+			);
+			await notifyClients({
+				type: "CONTACT_QUEUE_FAILED",
+				id: entry.id,
+				subject: entry.subject,
+				errors: result.errors || [],
+			});
+		} else {
+			await contactQueueRequest(db, "readwrite", (store) =>
+				store.put(entry)
+			);
+			pending++;
+		}
+	}
+
+	if (pending > 0) {
+		throw new Error(`${pending} contact submission(s) still queued`);
+	}
+}
+
+// Background Sync event - replay the contact outbox once connectivity returns
+self.addEventListener("sync", (event) => {
+	if (event.tag === CONTACT_QUEUE_SYNC_TAG) {
+		event.waitUntil(replayContactQueue());
+	}
+});
+
+// Control API - cache inspection for assets/js/sw-inspector.js
+function isOwnCache(cacheName) {
+	return cacheName.startsWith(`${SW_CONFIG.cachePrefix}-`);
+}
+
+async function describeWorker() {
+	return {
+		version: PRECACHE.version,
+		cachePrefix: SW_CONFIG.cachePrefix,
+		precacheEntries: PRECACHE.entries.length,
+		navigationPreload: !!self.registration.navigationPreload,
+		routes: ROUTES.map((route) => ({
+			cacheName: cacheNameFor(route),
+			maxEntries: route.maxEntries || null,
+			maxAge: route.maxAge || null,
+		})),
+	};
+}
+
+// A cache entry with its size and the time it was fetched
+async function describeEntry(cache, request) {
+	const response = await cache.match(request);
+	const body = await response.clone().blob();
+
+	return {
+		url: request.url,
+		status: response.status,
+		type: response.headers.get("Content-Type") || "",
+		size: body.size,
+		cachedAt: Number(response.headers.get("sw-cached-at")) || null,
+		date: Date.parse(response.headers.get("Date") || "") || null,
+	};
+}
+
+async function listCacheEntries(cacheName) {
+	if (!(await caches.has(cacheName))) {
+		throw new Error(`Unknown cache ${cacheName}`);
+	}
+
+	const cache = await caches.open(cacheName);
+	const requests = await cache.keys();
+	return Promise.all(
+		requests.map((request) => describeEntry(cache, request))
+	);
+}
+
+async function listCaches() {
+	const cacheNames = await caches.keys();
+
+	return Promise.all(
+		cacheNames.map(async (cacheName) => {
+			const entries = await listCacheEntries(cacheName);
+			return {
+				name: cacheName,
+				own: isOwnCache(cacheName),
+				entries: entries.length,
+				size: entries.reduce((sum, entry) => sum + entry.size, 0),
+			};
+		})
+	);
+}
+
+async function evictCacheEntry(cacheName, url) {
+	const cache = await caches.open(cacheName);
+	return cache.delete(url);
+}
+
+// Delete the caches of this site; the precache is refilled by the next install.
+// Saved pages stay, since the reading list in IndexedDB still lists them
+async function clearCaches() {
+	const cacheNames = (await caches.keys()).filter(
+		(cacheName) => isOwnCache(cacheName) && cacheName !== SAVED_CACHE
+	);
+	await Promise.all(cacheNames.map((cacheName) => caches.delete(cacheName)));
+	reducedDataSetting = null;
+	recency = null;
+	return cacheNames;
+}
+
+// Run a requested operation and reply through the message's port
+function replyToMessage(event, operation) {
+	const port = event.ports[0];
+
+	event.waitUntil(
+		operation
+			.then((result) => port && port.postMessage({ ok: true, result }))
+			.catch((error) => {
+				console.warn(`${event.data.type} failed:`, error);
+				if (port) {
+					port.postMessage({ ok: false, error: error.message });
+				}
+			})
+	);
+}
+
+// Messages answered through their port (see assets/js/sw-client.js)
+const MESSAGE_HANDLERS = {
+	SAVE_FOR_OFFLINE: (message) => saveForOffline(message.urls || []),
+	REMOVE_FROM_OFFLINE: (message) => removeFromOffline(message.urls || []),
+	GET_VERSION: () => describeWorker(),
+	LIST_CACHES: () => listCaches(),
+	LIST_CACHE_ENTRIES: (message) => listCacheEntries(message.cacheName),
+	EVICT_CACHE_ENTRY: (message) =>
+		evictCacheEntry(message.cacheName, message.url),
+	CLEAR_CACHES: () => clearCaches(),
+	SET_REDUCED_DATA: (message) => setReducedData(message.enabled),
+};
+
+// Message event - update acceptance, reading list, data saver and control API
+// requests, and periodic replay requested by pages without Background Sync
+self.addEventListener("message", (event) => {
+	const message = event.data || {};
+
+	if (MESSAGE_HANDLERS[message.type]) {
+		replyToMessage(
+			event,
+			Promise.resolve().then(() =>
+				MESSAGE_HANDLERS[message.type](message)
+			)
+		);
+		return;
+	}
+
+	// The visitor chose to reload into the new version
+	if (message.type === "SKIP_WAITING") {
+		self.skipWaiting();
+		return;
+	}
+
+	if (message.type === "REPLAY_CONTACT_QUEUE") {
+		event.waitUntil(
+			replayContactQueue().catch((error) => {
+				console.warn("Contact queue replay incomplete:", error);
+			})
+		);
+	}
+});
@@ -0,0 +1,196 @@
+/**
+ * Theme Core
+ * Theme state shared by the inline bootstrap in partials/head.html, which
+ * inlines this file (after color-schemes.js) to apply the theme before the
+ * first paint, and ThemeToggle. The stored theme is a scheme id, "auto" or
+ * "scheduled"; the last two are kept as is and resolved on every page load,
+ * "scheduled" from the ThemeSchedule (theme-schedule.js) stored next to it.
+ */
+
+class ThemeCore {
+	/**
+	 * @param {ColorSchemeRegistry} schemes - Available color schemes
+	 */
+	constructor(schemes) {
+		this.storageKey = "csharp-portfolio-theme";
+		this.themes = {
+			LIGHT: "light",
+			DARK: "dark",
+			AUTO: "auto",
+			SCHEDULED: "scheduled",
+		};
+		this.scheduleKey = `${this.storageKey}-schedule`;
+		this.schemes = schemes;
+	}
+
+	/**
+	 * Get the stored theme preference from localStorage. "light" and "dark",
+	 * stored before color schemes existed, are migrated to scheme ids, or to
+	 * "auto" when they match the system theme
+	 * @returns {string|null} A scheme id, "auto", "scheduled", or null if not found or unknown
+	 */
+	getStoredTheme() {
+		let storedTheme = null;
+		try {
+			storedTheme = localStorage.getItem(this.storageKey);
+		} catch (error) {
+			console.warn("Failed to read theme from localStorage:", error);
+			return null;
+		}
+
+		const theme = this.schemes.migrate(storedTheme, this.getSystemTheme());
+		if (theme !== storedTheme) {
+			this.storeTheme(theme);
+		}
+
+		if (
+			theme === this.themes.AUTO ||
+			theme === this.themes.SCHEDULED ||
+			(theme && this.schemes.get(theme))
+		) {
+			return theme;
+		}
+		return null;
+	}
+
+	/**
+	 * The visitor's theme: the stored one, or "auto" when none is stored
+	 * @returns {string} A scheme id, 'auto' or 'scheduled'
+	 */
+	getTheme() {
+		return this.getStoredTheme() || this.themes.AUTO;
+	}
+
+	/**
+	 * Store the theme preference in localStorage
+	 * @param {string} theme - The theme to store
+	 */
+	storeTheme(theme) {
+		try {
+			localStorage.setItem(this.storageKey, theme);
+		} catch (error) {
+			console.warn("Failed to store theme in localStorage:", error);
+		}
+	}
+
+	/**
+	 * The stored schedule for the "scheduled" theme, or the default one
+	 * @returns {ThemeSchedule} The schedule
+	 */
+	getSchedule() {
+		let settings = {};
+		try {
+			settings = JSON.parse(localStorage.getItem(this.scheduleKey)) || {};
+		} catch (error) {
+			console.warn(
+				"Failed to read theme schedule from localStorage:",
+				error
+			);
+		}
+
+		return new ThemeSchedule(settings);
+	}
+
+	/**
+	 * Store the schedule for the "scheduled" theme in localStorage
+	 * @param {ThemeSchedule} schedule - The schedule to store
+	 */
+	storeSchedule(schedule) {
+		try {
+			localStorage.setItem(this.scheduleKey, JSON.stringify(schedule));
+		} catch (error) {
+			console.warn(
+				"Failed to store theme schedule in localStorage:",
+				error
+			);
+		}
+	}
+
+	/**
+	 * Get the system theme preference
+	 * @returns {string} 'dark' or 'light'
+	 */
+	getSystemTheme() {
+		if (
+			window.matchMedia &&
+			window.matchMedia("(prefers-color-scheme: dark)").matches
+		) {
+			return this.themes.DARK;
+		}
+		return this.themes.LIGHT;
+	}
+
+	/**
+	 * The scheme a theme shows: the scheme itself, for "scheduled" the default
+	 * scheme of the schedule's current base, and for "auto" that of the
+	 * system theme
+	 * @param {string} theme - A scheme id, 'auto' or 'scheduled'
+	 * @returns {Object} The scheme
+	 */
+	resolveScheme(theme) {
+		if (theme === this.themes.SCHEDULED) {
+			return this.getDefaultScheme(
+				this.getSchedule().getBase(new Date())
+			);
+		}
+
+		const scheme =
+			theme === this.themes.AUTO ? null : this.schemes.get(theme);
+		return scheme || this.getDefaultScheme(this.getSystemTheme());
+	}
+
+	/**
+	 * @param {string} base - 'light' or 'dark'
+	 * @returns {Object} The base's default scheme, or a bare one for the base
+	 */
+	getDefaultScheme(base) {
+		return (
+			this.schemes.getDefault(base) || {
+				id: base,
+				name: base,
+				base,
+				properties: {},
+			}
+		);
+	}
+
+	/**
+	 * Apply a theme to the document
+	 * @param {string} theme - A scheme id, 'auto' or 'scheduled'
+	 * @returns {Object} The scheme being shown
+	 */
+	apply(theme) {
+		const root = document.documentElement;
+		const scheme = this.resolveScheme(theme);
+
+		// Remove existing theme attributes
+		root.removeAttribute("data-theme");
+
+		if (theme !== this.themes.AUTO) {
+			// Set the scheme's light or dark stylesheet; "auto" leaves it to
+			// prefers-color-scheme
+			root.setAttribute("data-theme", scheme.base);
+		}
+
+		root.setAttribute("data-color-scheme", scheme.id);
+
+		// Replace the custom properties of the previous scheme
+		Array.from(root.style)
+			.filter((property) => property.startsWith("--"))
+			.forEach((property) => root.style.removeProperty(property));
+		Object.entries(scheme.properties).forEach(([property, value]) => {
+			root.style.setProperty(property, value);
+		});
+
+		return scheme;
+	}
+}
+
+// Applied right away, from the inline script, to prevent a flash of the wrong theme
+window.themeCore = new ThemeCore(window.colorSchemes);
+window.themeCore.apply(window.themeCore.getTheme());
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ThemeCore;
+}
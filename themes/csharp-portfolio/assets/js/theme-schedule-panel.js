@@ -0,0 +1,218 @@
+/**
+ * Theme Schedule Panel
+ * Settings of the "scheduled" theme, opened from the scheme picker when it is
+ * chosen: light and dark at set times, or at sunrise and sunset. The location
+ * for the sun is estimated from the time zone (assets/data/time-zones.json),
+ * with an optional latitude entered by the visitor; nothing is looked up
+ * over the network.
+ */
+
+class ThemeSchedulePanel {
+	/**
+	 * @param {ThemeToggle} toggle - Applies and stores the schedule
+	 * @param {HTMLElement} picker - The picker the panel belongs to
+	 */
+	constructor(toggle, picker) {
+		this.toggle = toggle;
+		this.picker = picker;
+		this.button = picker.querySelector("[data-theme-toggle]");
+		this.panel = null;
+
+		// Keep the status line in step with live and cross-tab switches
+		document.addEventListener("themechange", () => {
+			if (this.isOpen()) {
+				this.updateStatus();
+			}
+		});
+	}
+
+	isOpen() {
+		return Boolean(this.panel) && !this.panel.hidden;
+	}
+
+	open() {
+		if (!this.panel) {
+			this.createPanel();
+		}
+
+		this.render();
+		this.panel.hidden = false;
+
+		const checked = this.panel.querySelector('input[name="type"]:checked');
+		(checked || this.panel).focus();
+	}
+
+	/**
+	 * @param {boolean} restoreFocus - Move focus back to the picker button
+	 */
+	close(restoreFocus) {
+		if (!this.isOpen()) {
+			return;
+		}
+
+		this.panel.hidden = true;
+
+		if (restoreFocus) {
+			this.button.focus();
+		}
+	}
+
+	createPanel() {
+		const t = (key) => window.i18n.t(key);
+		const titleId = `${this.button.id}-schedule-title`;
+
+		this.panel = document.createElement("form");
+		this.panel.className = "theme-schedule";
+		this.panel.setAttribute("role", "dialog");
+		this.panel.setAttribute("aria-labelledby", titleId);
+		this.panel.tabIndex = -1;
+		this.panel.hidden = true;
+		this.panel.innerHTML = `
+            <h2 id="${titleId}" class="theme-schedule__title"></h2>
+            <fieldset class="theme-schedule__type">
+                <legend></legend>
+                <label><input type="radio" name="type" value="times" /> <span data-label="times"></span></label>
+                <label><input type="radio" name="type" value="sun" /> <span data-label="sun"></span></label>
+            </fieldset>
+            <div class="theme-schedule__times">
+                <label><span data-label="light"></span> <input type="time" name="light" required /></label>
+                <label><span data-label="dark"></span> <input type="time" name="dark" required /></label>
+            </div>
+            <div class="theme-schedule__sun">
+                <label><span data-label="latitude"></span> <input type="number" name="latitude" min="-90" max="90" step="0.1" /></label>
+                <p class="theme-schedule__hint"></p>
+            </div>
+            <p class="theme-schedule__status" role="status" aria-live="polite"></p>
+            <button type="submit" class="btn btn-secondary theme-schedule__done"></button>
+        `;
+
+		this.panel.querySelector(".theme-schedule__title").textContent = t(
+			"theme.schedule.title"
+		);
+		this.panel.querySelector("legend").textContent = t(
+			"theme.schedule.type"
+		);
+		this.panel.querySelectorAll("[data-label]").forEach((label) => {
+			label.textContent = t(
+				`theme.schedule.${label.getAttribute("data-label")}`
+			);
+		});
+		this.panel.querySelector(".theme-schedule__done").textContent = t(
+			"theme.schedule.done"
+		);
+
+		this.form = this.panel.elements;
+		this.hintElement = this.panel.querySelector(".theme-schedule__hint");
+		this.statusElement = this.panel.querySelector(
+			".theme-schedule__status"
+		);
+
+		this.panel.addEventListener("change", () => this.save());
+		this.panel.addEventListener("submit", (event) => {
+			event.preventDefault();
+			this.close(true);
+		});
+		this.panel.addEventListener("keydown", (event) => {
+			if (event.key === "Escape") {
+				event.preventDefault();
+				this.close(true);
+			}
+		});
+		document.addEventListener("click", (event) => {
+			if (this.isOpen() && !this.picker.contains(event.target)) {
+				this.close(false);
+			}
+		});
+
+		this.picker.appendChild(this.panel);
+	}
+
+	/**
+	 * Fill the fields from the stored schedule
+	 */
+	render() {
+		const schedule = this.toggle.core.getSchedule();
+
+		this.form.type.value = schedule.type;
+		this.form.light.value = schedule.light;
+		this.form.dark.value = schedule.dark;
+		this.form.latitude.value = schedule.manual ? schedule.latitude : "";
+
+		this.updateFields(schedule);
+		this.updateStatus();
+	}
+
+	/**
+	 * Store the schedule built from the fields and apply it
+	 */
+	save() {
+		const latitude = this.form.latitude.value;
+		const schedule = new ThemeSchedule({
+			type: this.form.type.value,
+			light: this.form.light.value,
+			dark: this.form.dark.value,
+			...ThemeSchedule.locate(
+				ThemeSchedule.loadZones(),
+				latitude === "" ? null : latitude
+			),
+		});
+
+		this.toggle.setSchedule(schedule);
+
+		// Show what was stored, e.g. without an out of range latitude
+		this.render();
+	}
+
+	/**
+	 * Show the fields of the schedule's type, and where its location comes from
+	 * @param {ThemeSchedule} schedule - The schedule
+	 */
+	updateFields(schedule) {
+		const isSun = schedule.type === "sun";
+
+		this.panel.querySelector(".theme-schedule__times").hidden = isSun;
+		this.panel.querySelector(".theme-schedule__sun").hidden = !isSun;
+
+		const location = ThemeSchedule.locate(ThemeSchedule.loadZones());
+		this.form.latitude.placeholder =
+			location.latitude === null ? "" : String(location.latitude);
+
+		let hint = "";
+		if (!schedule.manual) {
+			hint =
+				location.latitude === null
+					? window.i18n.t("theme.schedule.noZone")
+					: window.i18n.t("theme.schedule.fromZone", {
+							zone: location.zone,
+					  });
+		}
+		this.hintElement.textContent = hint;
+	}
+
+	/**
+	 * Say which theme is shown and until when
+	 */
+	updateStatus() {
+		const schedule = this.toggle.core.getSchedule();
+		const now = new Date();
+		const current = schedule.getBase(now);
+		const period = schedule.getLightPeriod(now);
+
+		this.statusElement.textContent = period.polar
+			? window.i18n.t("theme.schedule.polar", { current })
+			: window.i18n.t("theme.schedule.status", {
+					current,
+					time: schedule
+						.getNextChange(now)
+						.toLocaleTimeString(window.i18n.locale, {
+							hour: "2-digit",
+							minute: "2-digit",
+						}),
+			  });
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ThemeSchedulePanel;
+}
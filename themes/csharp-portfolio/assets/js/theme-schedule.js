@@ -0,0 +1,267 @@
+/**
+ * Theme Schedule
+ * Decides whether the "scheduled" theme is light or dark at a given time:
+ * between two times of day, or between sunrise and sunset computed locally
+ * from an approximate location. Inlined into partials/head.html with
+ * theme-core.js so the scheduled theme is right on the first paint.
+ */
+
+class ThemeSchedule {
+	/**
+	 * @param {Object} [settings] - Stored schedule
+	 * @param {string} [settings.type] - "times" or "sun"
+	 * @param {string} [settings.light] - "HH:MM" the light theme starts, for "times"
+	 * @param {string} [settings.dark] - "HH:MM" the dark theme starts, for "times"
+	 * @param {number} [settings.latitude] - Degrees north, for "sun"
+	 * @param {number} [settings.longitude] - Degrees east, for "sun"
+	 * @param {string} [settings.zone] - Time zone the location was estimated from
+	 * @param {boolean} [settings.manual] - Whether the visitor entered the latitude
+	 */
+	constructor(settings = {}) {
+		const timePattern = /^\d{2}:\d{2}$/;
+
+		this.type = settings.type === "sun" ? "sun" : "times";
+		this.light = timePattern.test(settings.light)
+			? settings.light
+			: "07:00";
+		this.dark = timePattern.test(settings.dark) ? settings.dark : "19:00";
+		this.latitude = ThemeSchedule.toCoordinate(settings.latitude, 90);
+		this.longitude = ThemeSchedule.toCoordinate(settings.longitude, 180);
+		this.zone = settings.zone || null;
+		this.manual = settings.manual === true;
+	}
+
+	static toCoordinate(value, limit) {
+		const number = typeof value === "number" ? value : parseFloat(value);
+		return Number.isFinite(number) && Math.abs(number) <= limit
+			? number
+			: null;
+	}
+
+	/**
+	 * Read the time zone locations rendered by partials/theme-toggle.html
+	 * @returns {Object} Time zone name => [latitude, longitude], empty when missing
+	 */
+	static loadZones() {
+		const zonesElement = document.getElementById("time-zone-locations");
+		if (!zonesElement) {
+			return {};
+		}
+
+		try {
+			return JSON.parse(zonesElement.textContent);
+		} catch (error) {
+			console.error("Invalid time zone locations:", error);
+			return {};
+		}
+	}
+
+	/**
+	 * Approximate location: the visitor's latitude when given, otherwise the
+	 * time zone's; the longitude comes from the time zone, or its UTC offset
+	 * @param {Object} zones - Time zone name => [latitude, longitude]
+	 * @param {number|null} [latitude] - Latitude entered by the visitor
+	 * @returns {{latitude: number|null, longitude: number, zone: string, manual: boolean}} The location
+	 */
+	static locate(zones, latitude = null) {
+		let zone = "";
+		try {
+			zone = Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+		} catch (error) {
+			// Older browsers without time zone names
+		}
+
+		const known = zones[zone] || null;
+		const year = new Date().getFullYear();
+		// Standard (non-summer) offset; 15 degrees per hour
+		const standardOffset = Math.max(
+			new Date(year, 0, 1).getTimezoneOffset(),
+			new Date(year, 6, 1).getTimezoneOffset()
+		);
+		const manual = ThemeSchedule.toCoordinate(latitude, 90);
+
+		return {
+			latitude: manual !== null ? manual : known ? known[0] : null,
+			longitude: known ? known[1] : (0 - standardOffset) / 4,
+			zone,
+			manual: manual !== null,
+		};
+	}
+
+	/**
+	 * Sunrise and sunset on a local day (NOAA solar position approximation)
+	 * @param {Date} date - Any time on the day
+	 * @param {number} latitude - Degrees north
+	 * @param {number} longitude - Degrees east
+	 * @returns {{sunrise: Date|null, sunset: Date|null, polar: string|null}}
+	 * polar is "day" or "night" when the sun doesn't rise or set that day
+	 */
+	static sunTimes(date, latitude, longitude) {
+		const rad = Math.PI / 180;
+		const midnight = Date.UTC(
+			date.getFullYear(),
+			date.getMonth(),
+			date.getDate()
+		);
+		const dayOfYear =
+			(midnight - Date.UTC(date.getFullYear(), 0, 1)) / 86400000 + 1;
+		const year = (2 * Math.PI * (dayOfYear - 1)) / 365;
+
+		// Equation of time (minutes) and solar declination (radians)
+		const equationOfTime =
+			229.18 *
+			(0.000075 +
+				0.001868 * Math.cos(year) -
+				0.032077 * Math.sin(year) -
+				0.014615 * Math.cos(2 * year) -
+				0.040849 * Math.sin(2 * year));
+		const declination =
+			0.006918 -
+			0.399912 * Math.cos(year) +
+			0.070257 * Math.sin(year) -
+			0.006758 * Math.cos(2 * year) +
+			0.000907 * Math.sin(2 * year) -
+			0.002697 * Math.cos(3 * year) +
+			0.00148 * Math.sin(3 * year);
+
+		// 90.833 degrees allows for refraction and the size of the sun's disc
+		const cosHourAngle =
+			Math.cos(90.833 * rad) /
+				(Math.cos(latitude * rad) * Math.cos(declination)) -
+			Math.tan(latitude * rad) * Math.tan(declination);
+
+		if (cosHourAngle > 1 || cosHourAngle < -1) {
+			return {
+				sunrise: null,
+				sunset: null,
+				polar: cosHourAngle > 1 ? "night" : "day",
+			};
+		}
+
+		const hourAngle = Math.acos(cosHourAngle) / rad;
+		const minutesToUtc = (minutes) => new Date(midnight + minutes * 60000);
+
+		return {
+			sunrise: minutesToUtc(
+				720 - 4 * (longitude + hourAngle) - equationOfTime
+			),
+			sunset: minutesToUtc(
+				720 - 4 * (longitude - hourAngle) - equationOfTime
+			),
+			polar: null,
+		};
+	}
+
+	/**
+	 * Whether sunrise and sunset can be used: a "sun" schedule with a location
+	 * @returns {boolean} True when they can
+	 */
+	usesSun() {
+		return (
+			this.type === "sun" &&
+			this.latitude !== null &&
+			this.longitude !== null
+		);
+	}
+
+	/**
+	 * @param {Date} date - Any time on the day
+	 * @param {string} time - "HH:MM"
+	 * @returns {Date} That time of day
+	 */
+	static atTime(date, time) {
+		const [hours, minutes] = time.split(":").map(Number);
+		const result = new Date(date);
+		result.setHours(hours, minutes, 0, 0);
+		return result;
+	}
+
+	/**
+	 * The day's light period; a "sun" schedule without a location uses the times
+	 * @param {Date} date - Any time on the day
+	 * @returns {{start: Date, end: Date}|{polar: string}} When light starts and ends
+	 */
+	getLightPeriod(date) {
+		if (this.usesSun()) {
+			const sun = ThemeSchedule.sunTimes(
+				date,
+				this.latitude,
+				this.longitude
+			);
+			return sun.polar
+				? { polar: sun.polar }
+				: { start: sun.sunrise, end: sun.sunset };
+		}
+
+		return {
+			start: ThemeSchedule.atTime(date, this.light),
+			end: ThemeSchedule.atTime(date, this.dark),
+		};
+	}
+
+	/**
+	 * @param {Date} now - The time
+	 * @returns {string} 'light' or 'dark'
+	 */
+	getBase(now) {
+		const period = this.getLightPeriod(now);
+
+		if (period.polar) {
+			return period.polar === "day" ? "light" : "dark";
+		}
+
+		// A light period that runs past midnight, e.g. light from 20:00 to 06:00
+		const isLight =
+			period.start <= period.end
+				? now >= period.start && now < period.end
+				: now >= period.start || now < period.end;
+
+		return isLight ? "light" : "dark";
+	}
+
+	/**
+	 * The next time the theme switches, or the next midnight when it doesn't
+	 * switch today (polar day or night), to check again
+	 * @param {Date} now - The time
+	 * @returns {Date} The time of the next change
+	 */
+	getNextChange(now) {
+		const tomorrow = new Date(now);
+		tomorrow.setDate(tomorrow.getDate() + 1);
+
+		const candidates = [now, tomorrow]
+			.map((date) => this.getLightPeriod(date))
+			.flatMap((period) =>
+				period.polar ? [] : [period.start, period.end]
+			)
+			.filter((time) => time > now)
+			.sort((a, b) => a - b);
+
+		if (candidates.length > 0) {
+			return candidates[0];
+		}
+
+		tomorrow.setHours(0, 0, 0, 0);
+		return tomorrow;
+	}
+
+	/**
+	 * @returns {Object} The settings to store
+	 */
+	toJSON() {
+		return {
+			type: this.type,
+			light: this.light,
+			dark: this.dark,
+			latitude: this.latitude,
+			longitude: this.longitude,
+			zone: this.zone,
+			manual: this.manual,
+		};
+	}
+}
+
+// Export for module systems
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = ThemeSchedule;
+}
@@ -1,17 +1,23 @@
 /**
  * Theme Toggle Module - Optimized for performance
- * Handles switching between light and dark themes with local storage persistence
- * and system preference detection
+ * Scheme picker, keyboard shortcut and system and cross-tab updates over
+ * ThemeCore (theme-core.js), which holds the stored theme and applies it. The
+ * stored theme is a scheme id, "auto", which follows the system with the
+ * default light or dark scheme, or "scheduled", which switches between them
+ * live at the times of a ThemeSchedule.
  */
 
 class ThemeToggle {
-	constructor() {
-		this.storageKey = "csharp-portfolio-theme";
-		this.themes = {
-			LIGHT: "light",
-			DARK: "dark",
-			AUTO: "auto",
-		};
+	/**
+	 * @param {ThemeCore} core - Theme state, set up by the inline bootstrap
+	 */
+	constructor(core) {
+		this.core = core;
+		this.storageKey = core.storageKey;
+		this.themes = core.themes;
+		this.schemes = core.schemes;
+		this.schedulePanels = new Map();
+		this.scheduleTimer = null;
 
 		this.init();
 	}
@@ -20,126 +26,199 @@ class ThemeToggle {
 	 * Initialize the theme system
 	 */
 	init() {
+		// Follow a sunrise and sunset schedule to a new time zone
+		this.updateScheduleLocation();
+
 		// Set initial theme based on stored preference or system preference
 		this.setInitialTheme();
 
 		// Listen for system theme changes
 		this.watchSystemTheme();
 
-		// Initialize toggle buttons
-		this.initToggleButtons();
+		// Follow theme changes made in other tabs
+		this.watchOtherTabs();
+
+		// Catch up on scheduled switches missed while the page was hidden
+		this.watchVisibility();
+
+		// Initialize scheme pickers
+		this.initPickers();
 
 		// Initialize keyboard shortcuts
 		this.initKeyboardShortcuts();
 	}
 
 	/**
-	 * Set the initial theme based on stored preference or system preference
+	 * Set the initial theme based on stored preference or system preference.
+	 * Nothing is stored, so a first visit stays on "auto"
 	 */
 	setInitialTheme() {
-		const storedTheme = this.getStoredTheme();
-		const systemTheme = this.getSystemTheme();
-
-		if (storedTheme) {
-			this.applyTheme(storedTheme);
-		} else {
-			// Default to system preference
-			this.applyTheme(systemTheme);
-			this.storeTheme(systemTheme);
-		}
+		this.applyTheme(this.core.getTheme());
 	}
 
 	/**
-	 * Get the stored theme preference from localStorage
-	 * @returns {string|null} The stored theme or null if not found
+	 * @returns {string|null} A scheme id, "auto", or null if not found or unknown
 	 */
 	getStoredTheme() {
-		try {
-			return localStorage.getItem(this.storageKey);
-		} catch (error) {
-			console.warn("Failed to read theme from localStorage:", error);
-			return null;
-		}
+		return this.core.getStoredTheme();
 	}
 
 	/**
-	 * Store the theme preference in localStorage
 	 * @param {string} theme - The theme to store
 	 */
 	storeTheme(theme) {
-		try {
-			localStorage.setItem(this.storageKey, theme);
-		} catch (error) {
-			console.warn("Failed to store theme in localStorage:", error);
-		}
+		this.core.storeTheme(theme);
 	}
 
 	/**
-	 * Get the system theme preference
 	 * @returns {string} 'dark' or 'light'
 	 */
 	getSystemTheme() {
-		if (
-			window.matchMedia &&
-			window.matchMedia("(prefers-color-scheme: dark)").matches
-		) {
-			return this.themes.DARK;
-		}
-		return this.themes.LIGHT;
+		return this.core.getSystemTheme();
 	}
 
 	/**
 	 * Apply the theme to the document
-	 * @param {string} theme - The theme to apply ('light', 'dark', or 'auto')
+	 * @param {string} theme - The theme to apply (a scheme id, 'auto' or 'scheduled')
 	 */
 	applyTheme(theme) {
-		const root = document.documentElement;
+		const scheme = this.core.apply(theme);
 
-		// Remove existing theme attributes
-		root.removeAttribute("data-theme");
-
-		if (theme === this.themes.AUTO) {
-			// Let CSS handle auto theme via prefers-color-scheme
-			// Don't set data-theme attribute
-		} else {
-			// Set explicit theme
-			root.setAttribute("data-theme", theme);
-		}
+		// Switch a scheduled theme at its next change
+		this.scheduleNextChange(theme);
 
 		// Update toggle button states
-		this.updateToggleButtons(theme);
+		this.updateToggleButtons(theme, scheme);
 
 		// Dispatch custom event for other components to listen to
-		this.dispatchThemeChangeEvent(theme);
+		this.dispatchThemeChangeEvent(theme, scheme);
 	}
 
 	/**
-	 * Toggle between light and dark themes
+	 * Toggle between the default light and dark schemes
 	 */
 	toggle() {
-		const currentTheme = this.getCurrentTheme();
-		const newTheme =
-			currentTheme === this.themes.LIGHT
+		const newBase =
+			this.getCurrentTheme() === this.themes.LIGHT
 				? this.themes.DARK
 				: this.themes.LIGHT;
+		const scheme = this.schemes.getDefault(newBase);
 
-		this.applyTheme(newTheme);
-		this.storeTheme(newTheme);
+		this.setTheme(scheme ? scheme.id : newBase);
 	}
 
 	/**
 	 * Set a specific theme
-	 * @param {string} theme - The theme to set
+	 * @param {string} theme - A scheme id, 'auto', 'scheduled', or 'light'/'dark' for the default schemes
 	 */
 	setTheme(theme) {
-		if (Object.values(this.themes).includes(theme)) {
-			this.applyTheme(theme);
-			this.storeTheme(theme);
+		const value = this.schemes.migrate(theme);
+
+		if (
+			value === this.themes.AUTO ||
+			value === this.themes.SCHEDULED ||
+			this.schemes.get(value)
+		) {
+			this.applyTheme(value);
+			this.storeTheme(value);
 		} else {
 			console.warn(`Invalid theme: ${theme}`);
 		}
 	}
 
+	/**
+	 * Store the schedule of the "scheduled" theme, and apply it when that
+	 * theme is in use
+	 * @param {ThemeSchedule} schedule - The schedule
+	 */
+	setSchedule(schedule) {
+		this.core.storeSchedule(schedule);
+
+		if (this.core.getTheme() === this.themes.SCHEDULED) {
+			this.applyTheme(this.themes.SCHEDULED);
+		}
+	}
+
+	/**
+	 * Re-estimate the location of a sunrise and sunset schedule when the
+	 * visitor is in another time zone than when it was stored; a latitude
+	 * they entered is kept
+	 */
+	updateScheduleLocation() {
+		const schedule = this.core.getSchedule();
+		if (schedule.type !== "sun") {
+			return;
+		}
+
+		const location = ThemeSchedule.locate(
+			ThemeSchedule.loadZones(),
+			schedule.manual ? schedule.latitude : null
+		);
+		if (location.zone !== schedule.zone) {
+			this.core.storeSchedule(
+				new ThemeSchedule({ ...schedule.toJSON(), ...location })
+			);
+		}
+	}
+
+	/**
+	 * Set a timer for the next change of a scheduled theme; any other theme
+	 * clears it
+	 * @param {string} theme - The theme being applied
+	 */
+	scheduleNextChange(theme) {
+		clearTimeout(this.scheduleTimer);
+		this.scheduleTimer = null;
+
+		if (theme !== this.themes.SCHEDULED) {
+			return;
+		}
+
+		const now = new Date();
+		const delay = this.core.getSchedule().getNextChange(now) - now;
+
+		// Longer delays overflow setTimeout; the check sets a new timer
+		this.scheduleTimer = setTimeout(
+			() => this.checkSchedule(),
+			Math.min(Math.max(delay, 0), 2147483647)
+		);
+	}
+
+	/**
+	 * Switch a scheduled theme when its scheme is due to change
+	 */
+	checkSchedule() {
+		const theme = this.core.getTheme();
+
+		if (
+			theme === this.themes.SCHEDULED &&
+			this.core.resolveScheme(theme).id !== this.getCurrentScheme()
+		) {
+			this.applyTheme(theme);
+		} else {
+			this.scheduleNextChange(theme);
+		}
+	}
+
+	/**
+	 * Timers are throttled or paused in background tabs and during sleep
+	 */
+	watchVisibility() {
+		document.addEventListener("visibilitychange", () => {
+			if (document.visibilityState === "visible") {
+				this.checkSchedule();
+			}
+		});
+	}
+
+	/**
+	 * Get the id of the scheme being shown
+	 * @returns {string|null} The scheme id
+	 */
+	getCurrentScheme() {
+		return document.documentElement.getAttribute("data-color-scheme");
+	}
+
 	/**
 	 * Get the currently active theme
 	 * @returns {string} The current theme
@@ -179,6 +258,23 @@ class ThemeToggle {
 		}
 	}
 
+	/**
+	 * Apply the theme chosen in another tab; the storage event only fires in
+	 * the tabs that didn't make the change
+	 */
+	watchOtherTabs() {
+		window.addEventListener("storage", (e) => {
+			// A null key means the whole storage was cleared
+			if (
+				e.key === this.storageKey ||
+				e.key === this.core.scheduleKey ||
+				e.key === null
+			) {
+				this.applyTheme(this.core.getTheme());
+			}
+		});
+	}
+
 	/**
 	 * Handle system theme changes
 	 * @param {MediaQueryListEvent} e - The media query event
@@ -188,74 +284,276 @@ class ThemeToggle {
 
 		// Only update if user hasn't set an explicit preference
 		if (!storedTheme || storedTheme === this.themes.AUTO) {
-			const newTheme = e.matches ? this.themes.DARK : this.themes.LIGHT;
-			this.applyTheme(newTheme);
+			this.applyTheme(this.themes.AUTO);
 		}
 	}
 
 	/**
-	 * Initialize toggle buttons
+	 * Initialize the scheme pickers: a menu button listing "auto", "scheduled"
+	 * and every registered scheme, following the ARIA menu button pattern
 	 */
-	initToggleButtons() {
-		const toggleButtons = document.querySelectorAll("[data-theme-toggle]");
+	initPickers() {
+		const pickers = document.querySelectorAll("[data-theme-picker]");
+
+		pickers.forEach((picker) => {
+			const button = picker.querySelector("[data-theme-toggle]");
+			const menu = picker.querySelector("[data-theme-menu]");
+			if (!button || !menu) {
+				return;
+			}
+
+			if (typeof ThemeSchedulePanel !== "undefined") {
+				this.schedulePanels.set(
+					picker,
+					new ThemeSchedulePanel(this, picker)
+				);
+			}
 
-		toggleButtons.forEach((button) => {
 			button.addEventListener("click", (e) => {
 				e.preventDefault();
-				this.toggle();
+				if (menu.hidden) {
+					this.openMenu(picker, "checked");
+				} else {
+					this.closeMenu(picker, true);
+				}
+			});
+
+			button.addEventListener("keydown", (e) => {
+				if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+					e.preventDefault();
+					this.openMenu(
+						picker,
+						e.key === "ArrowUp" ? "last" : "checked"
+					);
+				}
+			});
+
+			menu.addEventListener("keydown", (e) => {
+				this.handleMenuKeydown(picker, e);
+			});
+
+			menu.addEventListener("click", (e) => {
+				const item = e.target.closest("[data-theme-value]");
+				if (item) {
+					this.selectMenuItem(picker, item);
+				}
 			});
 
-			// Set initial ARIA attributes
-			this.updateButtonAria(button, this.getCurrentTheme());
+			// Close when focus or a click moves elsewhere
+			picker.addEventListener("focusout", (e) => {
+				if (!menu.hidden && !picker.contains(e.relatedTarget)) {
+					this.closeMenu(picker, false);
+				}
+			});
+			document.addEventListener("click", (e) => {
+				if (!menu.hidden && !picker.contains(e.target)) {
+					this.closeMenu(picker, false);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Build the menu items; done on every open so schemes registered later appear
+	 * @param {HTMLElement} menu - The picker's menu
+	 */
+	renderMenu(menu) {
+		const current = this.core.getTheme();
+		const options = [
+			{ id: this.themes.AUTO, name: window.i18n.t("theme.auto") },
+			{
+				id: this.themes.SCHEDULED,
+				name: window.i18n.t("theme.scheduled"),
+			},
+			...this.schemes.list(),
+		];
+
+		menu.innerHTML = "";
+		options.forEach((option) => {
+			const item = document.createElement("li");
+			item.className = "theme-picker__item";
+			item.setAttribute("role", "menuitemradio");
+			item.setAttribute("aria-checked", String(option.id === current));
+			item.setAttribute("data-theme-value", option.id);
+			item.tabIndex = -1;
+			item.textContent = option.name;
+
+			if (option.id === this.themes.SCHEDULED) {
+				// Choosing it opens the schedule settings
+				item.setAttribute("aria-haspopup", "dialog");
+			}
+
+			menu.appendChild(item);
 		});
 	}
 
+	/**
+	 * @param {HTMLElement} picker - The picker
+	 * @param {string} focus - Item to focus: "checked", "first" or "last"
+	 */
+	openMenu(picker, focus) {
+		const button = picker.querySelector("[data-theme-toggle]");
+		const menu = picker.querySelector("[data-theme-menu]");
+		const panel = this.schedulePanels.get(picker);
+
+		if (panel) {
+			panel.close(false);
+		}
+
+		this.renderMenu(menu);
+		menu.hidden = false;
+		button.setAttribute("aria-expanded", "true");
+
+		const items = this.getMenuItems(menu);
+		const checked = items.find(
+			(item) => item.getAttribute("aria-checked") === "true"
+		);
+		const target =
+			focus === "last"
+				? items[items.length - 1]
+				: (focus === "checked" && checked) || items[0];
+
+		if (target) {
+			target.focus();
+		}
+	}
+
+	/**
+	 * @param {HTMLElement} picker - The picker
+	 * @param {boolean} restoreFocus - Move focus back to the button
+	 */
+	closeMenu(picker, restoreFocus) {
+		const button = picker.querySelector("[data-theme-toggle]");
+		const menu = picker.querySelector("[data-theme-menu]");
+
+		menu.hidden = true;
+		button.setAttribute("aria-expanded", "false");
+
+		if (restoreFocus) {
+			button.focus();
+		}
+	}
+
+	getMenuItems(menu) {
+		return Array.from(menu.querySelectorAll("[data-theme-value]"));
+	}
+
+	/**
+	 * Arrow keys, Home and End move between items; Enter and Space choose;
+	 * Escape closes; Tab closes and moves on
+	 * @param {HTMLElement} picker - The picker
+	 * @param {KeyboardEvent} e - The key event
+	 */
+	handleMenuKeydown(picker, e) {
+		const menu = picker.querySelector("[data-theme-menu]");
+		const items = this.getMenuItems(menu);
+		const index = items.indexOf(document.activeElement);
+		let next = null;
+
+		switch (e.key) {
+			case "ArrowDown":
+				next = items[(index + 1) % items.length];
+				break;
+			case "ArrowUp":
+				next = items[(index - 1 + items.length) % items.length];
+				break;
+			case "Home":
+				next = items[0];
+				break;
+			case "End":
+				next = items[items.length - 1];
+				break;
+			case "Enter":
+			case " ":
+				e.preventDefault();
+				if (index !== -1) {
+					this.selectMenuItem(picker, items[index]);
+				}
+				return;
+			case "Escape":
+				e.preventDefault();
+				this.closeMenu(picker, true);
+				return;
+			case "Tab":
+				this.closeMenu(picker, false);
+				return;
+			default:
+				return;
+		}
+
+		e.preventDefault();
+		next.focus();
+	}
+
+	/**
+	 * @param {HTMLElement} picker - The picker
+	 * @param {HTMLElement} item - The chosen menu item
+	 */
+	selectMenuItem(picker, item) {
+		const theme = item.getAttribute("data-theme-value");
+		const panel = this.schedulePanels.get(picker);
+
+		this.setTheme(theme);
+
+		if (theme === this.themes.SCHEDULED && panel) {
+			this.closeMenu(picker, false);
+			panel.open();
+		} else {
+			this.closeMenu(picker, true);
+		}
+	}
+
 	/**
 	 * Update toggle button states
-	 * @param {string} theme - The current theme
+	 * @param {string} theme - The current theme (a scheme id, 'auto' or 'scheduled')
+	 * @param {Object} scheme - The scheme being shown
 	 */
-	updateToggleButtons(theme) {
+	updateToggleButtons(theme, scheme) {
 		const toggleButtons = document.querySelectorAll("[data-theme-toggle]");
 
 		toggleButtons.forEach((button) => {
-			this.updateButtonAria(button, theme);
-			this.updateButtonVisual(button, theme);
+			this.updateButtonAria(button, theme, scheme);
+			this.updateButtonVisual(button, scheme);
 		});
 	}
 
 	/**
 	 * Update button ARIA attributes for accessibility
-	 * @param {HTMLElement} button - The toggle button
-	 * @param {string} theme - The current theme
+	 * @param {HTMLElement} button - The picker button
+	 * @param {string} theme - The current theme (a scheme id, 'auto' or 'scheduled')
+	 * @param {Object} scheme - The scheme being shown
 	 */
-	updateButtonAria(button, theme) {
-		const isDark = theme === this.themes.DARK;
+	updateButtonAria(button, theme, scheme) {
+		let name = scheme.name;
+		if (theme === this.themes.AUTO) {
+			name = window.i18n.t("theme.autoNamed", { scheme: scheme.name });
+		} else if (theme === this.themes.SCHEDULED) {
+			name = window.i18n.t("theme.scheduledNamed", {
+				scheme: scheme.name,
+			});
+		}
+		const label = window.i18n.t("theme.current", { scheme: name });
 
-		button.setAttribute("aria-pressed", isDark.toString());
-		button.setAttribute(
-			"aria-label",
-			isDark ? "Switch to light theme" : "Switch to dark theme"
-		);
+		button.setAttribute("aria-label", label);
+
+		const textElement = button.querySelector(".theme-toggle__text");
+		if (textElement) {
+			textElement.textContent = label;
+		}
 	}
 
 	/**
 	 * Update button visual state
-	 * @param {HTMLElement} button - The toggle button
-	 * @param {string} theme - The current theme
+	 * @param {HTMLElement} button - The picker button
+	 * @param {Object} scheme - The scheme being shown
 	 */
-	updateButtonVisual(button, theme) {
-		const isDark = theme === this.themes.DARK;
+	updateButtonVisual(button, scheme) {
+		const isDark = scheme.base === this.themes.DARK;
 
 		// Update button class for styling
 		button.classList.toggle("theme-toggle--dark", isDark);
 		button.classList.toggle("theme-toggle--light", !isDark);
 
-		// Update button text content if it has text
-		const textElement = button.querySelector(".theme-toggle__text");
-		if (textElement) {
-			textElement.textContent = isDark ? "false" : "true";
-		}
-
 		// Update icon if present
 		const iconElement = button.querySelector(".theme-toggle__icon");
 		if (iconElement) {
@@ -265,11 +563,18 @@ class ThemeToggle {
 
 	/**
 	 * Dispatch a custom theme change event
-	 * @param {string} theme - The new theme
+	 * @param {string} theme - The new theme (a scheme id, 'auto' or 'scheduled')
+	 * @param {Object} scheme - The scheme being shown
 	 */
-	dispatchThemeChangeEvent(theme) {
+	dispatchThemeChangeEvent(theme, scheme) {
 		const event = new CustomEvent("themechange", {
-			detail: { theme, timestamp: Date.now() },
+			detail: {
+				// 'light', 'dark' or 'auto', as before color schemes; a
+				// scheduled theme reports the base it is showing
+				theme: theme === this.themes.AUTO ? theme : scheme.base,
+				scheme: scheme.id,
+				timestamp: Date.now(),
+			},
 		});
 
 		document.dispatchEvent(event);
@@ -280,7 +585,7 @@ class ThemeToggle {
 	 */
 	initKeyboardShortcuts() {
 		document.addEventListener("keydown", (e) => {
-			// Ctrl+Shift+T to toggle theme
+			// Ctrl+Shift+T to toggle between the default light and dark schemes
 			if (e.ctrlKey && e.shiftKey && e.key === "T") {
 				e.preventDefault();
 				this.toggle();
@@ -295,7 +600,10 @@ class ThemeToggle {
 	getThemeInfo() {
 		return {
 			current: this.getCurrentTheme(),
+			scheme: this.getCurrentScheme(),
+			schemes: this.schemes.list().map((scheme) => scheme.id),
 			stored: this.getStoredTheme(),
+			schedule: this.core.getSchedule().toJSON(),
 			system: this.getSystemTheme(),
 			supportsSystemTheme:
 				window.matchMedia &&
@@ -308,10 +616,10 @@ class ThemeToggle {
 // Initialize theme toggle when DOM is ready
 if (document.readyState === "loading") {
 	document.addEventListener("DOMContentLoaded", () => {
-		window.themeToggle = new ThemeToggle();
+		window.themeToggle = new ThemeToggle(window.themeCore);
 	});
 } else {
-	window.themeToggle = new ThemeToggle();
+	window.themeToggle = new ThemeToggle(window.themeCore);
 }
 
 // Export for module systems
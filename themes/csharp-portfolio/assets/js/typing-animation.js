@@ -151,6 +151,19 @@ function initTypingAnimations() {
 	// Find all elements with typing animation
 	const typingElements = document.querySelectorAll("[data-typing-text]");
 
+	// Reduced-data mode (data-saver.js) shows the final text straight away
+	if (window.dataSaver && window.dataSaver.isEnabled()) {
+		typingElements.forEach((element) => {
+			element.textContent = element.getAttribute("data-typing-text");
+
+			const executionSection = element.closest(".hero-execution");
+			if (executionSection) {
+				executionSection.classList.add("show");
+			}
+		});
+		return;
+	}
+
 	typingElements.forEach((element) => {
 		// Check if element is in viewport before starting animation
 		const observer = new IntersectionObserver(
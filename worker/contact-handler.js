@@ -0,0 +1,651 @@
+/**
+ * Contact Request Handler
+ * Handles `POST /api/contact` for the Worker: validates the submission with
+ * the rule definitions the browser uses (assets/data/contact-schema.json and
+ * the intents, published by Hugo as /contact-config.json) and the same
+ * ContactRules checks, applies the rate limit and spam checks, and forwards
+ * the message through the configured mail transport.
+ *
+ * Rejections answer 422 (429 for the rate limit) with
+ * `{ success: false, errors: [{ field, code, key, params, message }] }`;
+ * `field` is the id of the offending form field, `key` and `params` let the
+ * page localize the message, and `message` is the English text.
+ */
+
+import ContactRules from "../themes/csharp-portfolio/assets/js/contact-rules.js";
+import ContactDiagnosticsPanel from "../themes/csharp-portfolio/assets/js/contact-diagnostics.js";
+import ContactSpamGuard from "../themes/csharp-portfolio/assets/js/contact-spam-guard.js";
+import ContactMessageEncryptor from "../themes/csharp-portfolio/assets/js/contact-encryption.js";
+import ContactIntentRouter from "../themes/csharp-portfolio/assets/js/contact-intents.js";
+import MessageCatalog from "../themes/csharp-portfolio/assets/js/i18n.js";
+import messages from "../themes/csharp-portfolio/assets/i18n/en.json";
+
+const catalog = new MessageCatalog({
+	locale: "en",
+	messages,
+	fallback: messages,
+});
+
+// Fields that only carry spam guard and delivery metadata
+const metadataFields = [
+	"pow-token",
+	"cf-turnstile-response",
+	"_idempotency_key",
+];
+
+// Local proof-of-work tokens issued further from now than this are refused
+const maxChallengeAge = 60 * 60 * 1000;
+
+// Seconds a request waits for another one sending the same idempotency key
+const idempotencyRetryAfter = 5;
+
+let configPromise = null;
+let disposableDomainsPromise = null;
+
+// Idempotency keys whose message this isolate is sending
+const sendingKeys = new Set();
+
+export class ContactRequestHandler {
+	/**
+	 * @param {Object} options - Options
+	 * @param {Object} options.env - Worker environment
+	 * @param {Object} options.transport - Mail transport from mailTransports.create()
+	 * @param {Function} options.createLimiter - (limits) => RateLimiter
+	 * @param {Object} [options.config] - Contact configuration, fetched from the assets when omitted
+	 */
+	constructor({ env, transport, createLimiter, config = null }) {
+		this.env = env;
+		this.transport = transport;
+		this.createLimiter = createLimiter;
+		this.config = config;
+	}
+
+	/**
+	 * Handle a request to the contact endpoint
+	 * @param {Request} request - The request
+	 * @returns {Promise<Response>} The response
+	 */
+	async handle(request) {
+		this.request = request;
+
+		if (request.method !== "POST") {
+			return new Response(null, {
+				status: 405,
+				headers: { Allow: "POST" },
+			});
+		}
+
+		let submission;
+		try {
+			submission = await this.parse(request);
+		} catch (error) {
+			return this.reject(400, [
+				this.error(null, "default", {
+					message: "The request body could not be read.",
+				}),
+			]);
+		}
+
+		let config = this.config;
+		if (!config) {
+			try {
+				config = await this.loadConfig(request);
+			} catch (error) {
+				// Without its rules the form can't be checked, so nothing is sent
+				console.error("Contact form configuration unavailable:", error);
+				return this.json(503, { success: false, errors: [] });
+			}
+		}
+		const intent = this.findIntent(submission.data, config);
+
+		// The browser validates the subject before adding the intent's prefix;
+		// compose() adds it back
+		if (submission.data.subject) {
+			submission.data.subject = ContactIntentRouter.unprefixSubject(
+				submission.data.subject,
+				intent
+			);
+		}
+
+		const limiter = this.createLimiter(config.limits || {});
+		this.limiter = limiter;
+		const idempotencyKey =
+			request.headers.get("Idempotency-Key") ||
+			submission.data._idempotency_key ||
+			null;
+
+		if (!idempotencyKey) {
+			return this.deliver(request, submission, config, limiter, null);
+		}
+
+		// Requests in this isolate see each other at once, others see the marker below
+		if (sendingKeys.has(idempotencyKey)) {
+			return this.conflict();
+		}
+		sendingKeys.add(idempotencyKey);
+
+		let reserved = false;
+		let response = null;
+		try {
+			// A retried request gets the original answer and is not sent twice
+			const previous = await limiter.getIdempotent(idempotencyKey);
+			if (previous && previous.pending) {
+				return this.conflict();
+			}
+			if (previous) {
+				return this.json(previous.status, previous.body, {
+					"Idempotent-Replayed": "true",
+				});
+			}
+
+			// Claim the key before sending, so a request arriving meanwhile isn't sent too
+			await limiter.reserveIdempotent(idempotencyKey);
+			reserved = true;
+
+			response = await this.deliver(
+				request,
+				submission,
+				config,
+				limiter,
+				idempotencyKey
+			);
+			return response;
+		} finally {
+			sendingKeys.delete(idempotencyKey);
+
+			// Only a sent message keeps its key; after anything else it may be retried
+			if (reserved && (!response || response.status !== 200)) {
+				await limiter.releaseIdempotent(idempotencyKey);
+			}
+		}
+	}
+
+	/**
+	 * Check a submission and send it, once its idempotency key is claimed
+	 * @param {Request} request - The request
+	 * @param {{data: Object, files: Array<Object>}} submission - Parsed submission
+	 * @param {Object} config - Contact configuration
+	 * @param {RateLimiter} limiter - Rate limits and idempotent answers
+	 * @param {string|null} idempotencyKey - The claimed key
+	 * @returns {Promise<Response>} The response
+	 */
+	async deliver(request, submission, config, limiter, idempotencyKey) {
+		const client = request.headers.get("CF-Connecting-IP") || "local";
+		const limit = await limiter.check(client);
+		if (!limit.allowed) {
+			return this.reject(
+				429,
+				[
+					{
+						field: null,
+						code: "CF0106",
+						severity: "error",
+						...this.translate("contact.limits.rate", {
+							max: limiter.maxSubmissions,
+							window: this.formatWait(limiter.window),
+							wait: this.formatWait(limit.retryAfter),
+						}),
+					},
+				],
+				{ "Retry-After": String(Math.ceil(limit.retryAfter / 1000)) }
+			);
+		}
+
+		const errors = [
+			...(await this.checkSpam(submission.data, config, request)),
+			...(await this.validate(submission, config)),
+		];
+		if (errors.length > 0) {
+			return this.reject(422, errors);
+		}
+
+		const mail = this.compose(submission, config);
+		let sent;
+		try {
+			sent = await this.transport.send(mail);
+		} catch (error) {
+			console.error(
+				`Mail transport "${this.transport.name}" failed:`,
+				error
+			);
+			return this.json(502, { success: false, errors: [] });
+		}
+
+		await limiter.record(client);
+
+		// A solved challenge pays for one message, not for an hour of them
+		if (config.spam && config.spam.challenge === "local") {
+			await limiter.spend(
+				submission.data["pow-token"],
+				2 * maxChallengeAge
+			);
+		}
+
+		const body = { success: true, id: sent.id };
+		if (idempotencyKey) {
+			await limiter.putIdempotent(idempotencyKey, { status: 200, body });
+		}
+
+		return this.json(200, body);
+	}
+
+	/**
+	 * Read a JSON, multipart or urlencoded body
+	 * @param {Request} request - The request
+	 * @returns {Promise<{data: Object, files: Array<{field: string, file: File}>}>} Text values and files
+	 */
+	async parse(request) {
+		const type = request.headers.get("Content-Type") || "";
+
+		if (type.includes("application/json")) {
+			const body = await request.json();
+			if (!body || typeof body !== "object" || Array.isArray(body)) {
+				throw new Error("Expected a JSON object");
+			}
+
+			const data = {};
+			Object.entries(body).forEach(([key, value]) => {
+				data[key] = String(value ?? "");
+			});
+			return { data, files: [] };
+		}
+
+		const formData = await request.formData();
+		const data = {};
+		const files = [];
+
+		for (const [field, value] of formData.entries()) {
+			if (typeof value === "string") {
+				data[field] = value;
+			} else if (value.size > 0) {
+				files.push({ field, file: value });
+			}
+		}
+
+		return { data, files };
+	}
+
+	/**
+	 * Fetch /contact-config.json, published by partials/contact-config.html, once per isolate
+	 * @param {Request} request - The incoming request, for the site origin
+	 * @returns {Promise<Object>} The configuration
+	 */
+	async loadConfig(request) {
+		if (!configPromise) {
+			configPromise = this.fetchAsset(request, "/contact-config.json")
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error(
+							`/contact-config.json answered ${response.status}`
+						);
+					}
+					return response.json();
+				})
+				.catch((error) => {
+					configPromise = null;
+					throw error;
+				});
+		}
+
+		return configPromise;
+	}
+
+	fetchAsset(request, path) {
+		const url = new URL(path, request.url);
+		return this.env.ASSETS ? this.env.ASSETS.fetch(url) : fetch(url);
+	}
+
+	/**
+	 * Honeypot, link and challenge checks of ContactSpamGuard
+	 * @param {Object} data - Text values
+	 * @param {Object} config - Contact configuration
+	 * @param {Request} request - The request
+	 * @returns {Promise<Array<Object>>} Errors
+	 */
+	async checkSpam(data, config, request) {
+		const spam = config.spam || {};
+		const errors = [];
+		const honeypot = spam.honeypot || "website";
+		const maxLinks = spam.maxlinks ?? 2;
+
+		if (data[honeypot]) {
+			errors.push(
+				this.error(
+					null,
+					"default",
+					{ key: "contact.spam.honeypot" },
+					"CF0101"
+				)
+			);
+		}
+
+		const links = ContactRules.countLinks(
+			`${data.subject || ""} ${data.message || ""}`
+		);
+		if (links > maxLinks) {
+			errors.push(
+				this.error(
+					"message",
+					"spam-error",
+					{
+						key: "contact.spam.links",
+						params: { count: links, max: maxLinks },
+					},
+					"CF0103"
+				)
+			);
+		}
+
+		if (
+			spam.challenge &&
+			!(await this.verifyChallenge(data, spam, request))
+		) {
+			errors.push(
+				this.error(
+					null,
+					"default",
+					{ key: "contact.spam.challenge" },
+					"CF0104"
+				)
+			);
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Verify the challenge token submitted by ContactSpamGuard
+	 * @param {Object} data - Text values
+	 * @param {Object} spam - `params.contact.spam`
+	 * @param {Request} request - The request
+	 * @returns {Promise<boolean>} True when the token is valid
+	 */
+	async verifyChallenge(data, spam, request) {
+		if (spam.challenge === "local") {
+			const token = data["pow-token"] || "";
+			const issuedAt = parseInt(token.split(":")[0]);
+
+			return (
+				Math.abs(Date.now() - issuedAt) < maxChallengeAge &&
+				(await ContactSpamGuard.challenges
+					.get("local")
+					.verify(token, spam.difficulty || 12)) &&
+				!(await this.limiter.isSpent(token))
+			);
+		}
+
+		if (spam.challenge === "turnstile") {
+			if (!this.env.TURNSTILE_SECRET) {
+				console.error(
+					"TURNSTILE_SECRET is not set, rejecting the challenge"
+				);
+				return false;
+			}
+
+			const body = new FormData();
+			body.append("secret", this.env.TURNSTILE_SECRET);
+			body.append("response", data["cf-turnstile-response"] || "");
+			body.append(
+				"remoteip",
+				request.headers.get("CF-Connecting-IP") || ""
+			);
+
+			const response = await fetch(
+				"https://challenges.cloudflare.com/turnstile/v0/siteverify",
+				{ method: "POST", body }
+			);
+			const result = await response.json().catch(() => ({}));
+			return result.success === true;
+		}
+
+		console.warn(`Unknown challenge "${spam.challenge}" is not verified`);
+		return true;
+	}
+
+	/**
+	 * Validate every schema field plus the rules of the selected intent
+	 * @param {{data: Object, files: Array<Object>}} submission - Parsed submission
+	 * @param {Object} config - Contact configuration
+	 * @returns {Promise<Array<Object>>} Errors
+	 */
+	async validate({ data, files }, config) {
+		const errors = [];
+		const fields = (config.schema && config.schema.fields) || {};
+		const intents = config.intents || [];
+		const intent = this.findIntent(data, config);
+		const overrides = (intent && intent.rules) || {};
+		const encryptedFields =
+			data.encrypted === "true"
+				? ContactMessageEncryptor.encryptedFields
+				: [];
+
+		for (const id of new Set([
+			...Object.keys(fields),
+			...Object.keys(overrides),
+		])) {
+			const rules = ContactRules.resolve(fields[id], overrides[id]);
+			if (id === "intent" && intents.length > 0) {
+				rules.enum = intents.map((item) => item.id);
+			}
+
+			const value = String(data[id] ?? "").trim();
+			const context = {
+				label: ContactRules.labelFromName(id),
+				values: data,
+			};
+
+			// Only fields the browser encrypts may carry an envelope; anything
+			// else armored fails the checks below like any other text
+			if (
+				encryptedFields.includes(id) &&
+				ContactMessageEncryptor.isArmored(value)
+			) {
+				const error =
+					ContactRules.checkRequired(value, rules, context) ||
+					this.checkArmoredLength(value, rules, context);
+				if (error) {
+					errors.push(this.error(id, error.errorClass, error));
+				}
+				continue;
+			}
+
+			const error =
+				ContactRules.check(value, rules, context) ||
+				(value ? await this.runValidators(value, rules, config) : null);
+
+			if (error) {
+				errors.push(this.error(id, error.errorClass, error));
+			}
+		}
+
+		if (files.length > 0) {
+			const textBytes = new TextEncoder().encode(
+				JSON.stringify(data)
+			).length;
+			const limits = ContactRules.attachmentLimits(config.attachments);
+			const error = ContactRules.checkAttachments(
+				files.map(({ file }) => file),
+				data.encrypted === "true"
+					? ContactMessageEncryptor.armoredLimits(limits)
+					: limits,
+				textBytes
+			);
+
+			if (error) {
+				errors.push(
+					this.error(files[0].field, error.errorClass, error)
+				);
+			}
+		}
+
+		return errors;
+	}
+
+	/**
+	 * @param {Object} data - Text values
+	 * @param {Object} config - Contact configuration
+	 * @returns {Object|null} The selected intent
+	 */
+	findIntent(data, config) {
+		return (
+			(config.intents || []).find((item) => item.id === data.intent) ||
+			null
+		);
+	}
+
+	/**
+	 * The plaintext of an envelope can't be checked, but its length bounds
+	 * the armored length
+	 * @param {string} value - Armored value
+	 * @param {Object} rules - Resolved rules
+	 * @param {Object} context - Label of the field
+	 * @returns {Object|null} A length error or null
+	 */
+	checkArmoredLength(value, rules, context) {
+		if (
+			rules.maxLength &&
+			value.length >
+				ContactMessageEncryptor.armoredTextLength(rules.maxLength)
+		) {
+			return {
+				key: "contact.validation.maxLength",
+				params: { field: context.label, max: rules.maxLength },
+				errorClass: "length-error",
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * Server-side counterparts of the custom validators registered in the browser
+	 * @param {string} value - Trimmed value
+	 * @param {Object} rules - Resolved rules
+	 * @param {Object} config - Contact configuration
+	 * @returns {Promise<Object|null>} The first error or null
+	 */
+	async runValidators(value, rules, config) {
+		for (const name of rules.validators) {
+			if (name === "disposable-email") {
+				const domains = await this.loadDisposableDomains(config);
+				if (domains.has(value.split("@").pop().toLowerCase())) {
+					return {
+						key: "contact.validation.disposableEmail",
+						errorClass: "format-error",
+					};
+				}
+			}
+		}
+
+		return null;
+	}
+
+	async loadDisposableDomains(config) {
+		if (!config.disposableDomainsUrl || !this.request) {
+			return new Set();
+		}
+
+		if (!disposableDomainsPromise) {
+			disposableDomainsPromise = this.fetchAsset(
+				this.request,
+				config.disposableDomainsUrl
+			)
+				.then((response) => response.json())
+				.then((domains) => new Set(domains))
+				.catch(() => {
+					disposableDomainsPromise = null;
+					return new Set();
+				});
+		}
+
+		return disposableDomainsPromise;
+	}
+
+	/**
+	 * Build the mail to forward
+	 * @param {{data: Object, files: Array<Object>}} submission - Parsed submission
+	 * @param {Object} config - Contact configuration
+	 * @returns {Object} { id, from, to, replyTo, subject, text, attachments }
+	 */
+	compose({ data, files }, config) {
+		const spam = config.spam || {};
+		const skipped = new Set([
+			...metadataFields,
+			spam.honeypot || "website",
+			"message",
+			"subject",
+		]);
+		const lines = Object.entries(data)
+			.filter(([key, value]) => !skipped.has(key) && value !== "")
+			.map(
+				([key, value]) => `${ContactRules.labelFromName(key)}: ${value}`
+			);
+
+		return {
+			id: crypto.randomUUID(),
+			from: this.env.CONTACT_FROM || "contact@localhost",
+			to: this.env.CONTACT_TO || config.email,
+			replyTo: ContactRules.isValidEmail(data.email || "")
+				? data.email
+				: null,
+			subject:
+				ContactIntentRouter.prefixSubject(
+					data.subject,
+					this.findIntent(data, config)
+				) || "Contact Form Submission",
+			text: `${lines.join("\n")}\n\nMessage:\n${data.message || ""}\n`,
+			attachments: files.map(({ file }) => file),
+		};
+	}
+
+	/**
+	 * Build an error entry
+	 * @param {string|null} field - Field id, null for form-level errors
+	 * @param {string} errorClass - Error class selecting the diagnostic code
+	 * @param {Object} error - { key, params } or { message }
+	 * @param {string} [code] - Explicit code, e.g. for spam checks
+	 * @returns {Object} The error
+	 */
+	error(field, errorClass, error, code = null) {
+		return {
+			field,
+			code: code || ContactDiagnosticsPanel.getCode(errorClass),
+			severity: "error",
+			...(error.key
+				? this.translate(error.key, error.params)
+				: { message: error.message }),
+		};
+	}
+
+	translate(key, params = {}) {
+		return { key, params, message: catalog.t(key, params) };
+	}
+
+	formatWait(ms) {
+		const minutes = Math.max(1, Math.ceil(ms / 60000));
+		return minutes < 60
+			? catalog.t("duration.minutes", { count: minutes })
+			: catalog.t("duration.hours", { count: Math.round(minutes / 60) });
+	}
+
+	/**
+	 * Ask the client to retry once the request sending the same idempotency key answers
+	 * @returns {Response} 409 with Retry-After
+	 */
+	conflict() {
+		return this.reject(409, [], {
+			"Retry-After": String(idempotencyRetryAfter),
+		});
+	}
+
+	reject(status, errors, headers = {}) {
+		return this.json(status, { success: false, errors }, headers);
+	}
+
+	json(status, body, headers = {}) {
+		return new Response(JSON.stringify(body), {
+			status,
+			headers: { "Content-Type": "application/json", ...headers },
+		});
+	}
+}
@@ -0,0 +1,410 @@
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import schema from "../themes/csharp-portfolio/assets/data/contact-schema.json";
+import ContactMessageEncryptor from "../themes/csharp-portfolio/assets/js/contact-encryption.js";
+import ContactSpamGuard from "../themes/csharp-portfolio/assets/js/contact-spam-guard.js";
+import { ContactRequestHandler } from "./contact-handler.js";
+import "./file-transport.js";
+import { mailTransports } from "./mail-transports.js";
+import { MemoryStore, RateLimiter } from "./rate-limiter.js";
+
+const config = {
+	email: "owner@example.com",
+	schema,
+	spam: { honeypot: "website" },
+	limits: { max: 3, window: 60 },
+	attachments: {},
+	intents: [
+		{
+			id: "collaboration",
+			subjectprefix: "Collaboration",
+			rules: { message: { minLength: 50 } },
+		},
+		{ id: "other", subjectprefix: "" },
+	],
+};
+
+const valid = {
+	intent: "other",
+	name: "Ada Lovelace",
+	email: "ada@example.com",
+	subject: "Question about DeaNext",
+	message: "Is the editor available for Linux as well?",
+};
+
+const armored = [
+	ContactMessageEncryptor.armor.begin,
+	"Version: 1",
+	"",
+	"AAAA",
+	ContactMessageEncryptor.armor.end,
+].join("\n");
+
+describe("ContactRequestHandler", () => {
+	let outbox;
+	let store;
+
+	beforeEach(async () => {
+		outbox = await mkdtemp(join(tmpdir(), "contact-outbox-"));
+		store = new MemoryStore();
+	});
+
+	afterEach(async () => {
+		await rm(outbox, { recursive: true, force: true });
+	});
+
+	function createHandler(overrides = {}) {
+		const env = { MAIL_TRANSPORT: "file", MAIL_OUTBOX_DIR: outbox };
+
+		return new ContactRequestHandler({
+			env,
+			transport: mailTransports.create(env),
+			createLimiter: (limits) => new RateLimiter(store, limits),
+			config: { ...config, ...overrides },
+		});
+	}
+
+	function post(body, headers = {}) {
+		return new Request("https://example.com/api/contact", {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				"CF-Connecting-IP": "203.0.113.7",
+				...headers,
+			},
+			body: typeof body === "string" ? body : JSON.stringify(body),
+		});
+	}
+
+	async function sentMails() {
+		const files = await readdir(outbox).catch(() => []);
+		return Promise.all(
+			files.map((file) => readFile(join(outbox, file), "utf8"))
+		);
+	}
+
+	it("delivers a valid submission", async () => {
+		const response = await createHandler().handle(post(valid));
+		const body = await response.json();
+
+		expect(response.status).toBe(200);
+		expect(body.success).toBe(true);
+		expect(body.id).toEqual(expect.any(String));
+
+		const mails = await sentMails();
+		expect(mails).toHaveLength(1);
+		expect(mails[0]).toContain("To: owner@example.com");
+		expect(mails[0]).toContain("Reply-To: ada@example.com");
+	});
+
+	it("rejects a filled honeypot with 422", async () => {
+		const response = await createHandler().handle(
+			post({ ...valid, website: "https://spam.example" })
+		);
+		const body = await response.json();
+
+		expect(response.status).toBe(422);
+		expect(body.errors.map((error) => error.code)).toContain("CF0101");
+		expect(await sentMails()).toHaveLength(0);
+	});
+
+	it("rejects a malformed body with 400", async () => {
+		const response = await createHandler().handle(post("{not json"));
+
+		expect(response.status).toBe(400);
+		expect((await response.json()).success).toBe(false);
+	});
+
+	it("answers 405 to other methods", async () => {
+		const response = await createHandler().handle(
+			new Request("https://example.com/api/contact")
+		);
+
+		expect(response.status).toBe(405);
+		expect(response.headers.get("Allow")).toBe("POST");
+	});
+
+	it("limits submissions per client", async () => {
+		const handler = createHandler({ limits: { max: 2, window: 60 } });
+
+		for (let i = 0; i < 2; i++) {
+			const response = await handler.handle(post(valid));
+			expect(response.status).toBe(200);
+		}
+
+		const response = await handler.handle(post(valid));
+		const body = await response.json();
+
+		expect(response.status).toBe(429);
+		expect(body.errors[0].code).toBe("CF0106");
+		expect(Number(response.headers.get("Retry-After"))).toBeGreaterThan(0);
+		expect(await sentMails()).toHaveLength(2);
+
+		// Other clients have their own limit
+		const other = await handler.handle(
+			post(valid, { "CF-Connecting-IP": "198.51.100.1" })
+		);
+		expect(other.status).toBe(200);
+	});
+
+	it("replays the answer for a repeated idempotency key", async () => {
+		const handler = createHandler();
+		const headers = { "Idempotency-Key": "retry-1" };
+
+		const first = await handler.handle(post(valid, headers));
+		const second = await handler.handle(post(valid, headers));
+
+		expect(second.status).toBe(200);
+		expect(second.headers.get("Idempotent-Replayed")).toBe("true");
+		expect((await second.json()).id).toBe((await first.json()).id);
+		expect(await sentMails()).toHaveLength(1);
+	});
+
+	it("accepts the key as a form field too", async () => {
+		const handler = createHandler();
+		const data = { ...valid, _idempotency_key: "retry-2" };
+
+		const first = await handler.handle(post(data));
+		const second = await handler.handle(post(data));
+
+		expect((await second.json()).id).toBe((await first.json()).id);
+		expect(await sentMails()).toHaveLength(1);
+	});
+
+	it("answers 503 when the configuration can't be loaded", async () => {
+		const env = {
+			ASSETS: {
+				fetch: async () =>
+					new Response("<!doctype html>", { status: 404 }),
+			},
+		};
+		const handler = new ContactRequestHandler({
+			env,
+			transport: mailTransports.create({
+				MAIL_TRANSPORT: "file",
+				MAIL_OUTBOX_DIR: outbox,
+			}),
+			createLimiter: (limits) => new RateLimiter(store, limits),
+		});
+		const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const response = await handler.handle(post(valid));
+
+		expect(response.status).toBe(503);
+		expect(await response.json()).toEqual({ success: false, errors: [] });
+		expect(error).toHaveBeenCalled();
+		expect(await sentMails()).toHaveLength(0);
+		error.mockRestore();
+	});
+
+	it("sends a message once when its key arrives twice at the same time", async () => {
+		const handler = createHandler();
+		const headers = { "Idempotency-Key": "retry-4" };
+
+		const responses = await Promise.all([
+			handler.handle(post(valid, headers)),
+			handler.handle(post(valid, headers)),
+		]);
+
+		expect(responses.map((response) => response.status)).toEqual([
+			200, 409,
+		]);
+		expect(responses[1].headers.get("Retry-After")).toBe("5");
+		expect(await sentMails()).toHaveLength(1);
+
+		// Once the first has answered, the retry gets its answer
+		const retried = await handler.handle(post(valid, headers));
+		expect(retried.headers.get("Idempotent-Replayed")).toBe("true");
+	});
+
+	it("answers 409 while another instance sends the key", async () => {
+		const handler = createHandler();
+		await new RateLimiter(store).reserveIdempotent("retry-5");
+
+		const response = await handler.handle(
+			post(valid, { "Idempotency-Key": "retry-5" })
+		);
+
+		expect(response.status).toBe(409);
+		expect(await sentMails()).toHaveLength(0);
+	});
+
+	it("frees the key of a message that was not sent", async () => {
+		const handler = createHandler();
+		const headers = { "Idempotency-Key": "retry-6" };
+
+		const rejected = await handler.handle(
+			post({ ...valid, email: "not-an-email" }, headers)
+		);
+		expect(rejected.status).toBe(422);
+
+		const corrected = await handler.handle(post(valid, headers));
+		expect(corrected.status).toBe(200);
+		expect(corrected.headers.get("Idempotent-Replayed")).toBeNull();
+		expect(await sentMails()).toHaveLength(1);
+	});
+
+	it("rejects what the schema rejects", async () => {
+		const response = await createHandler().handle(
+			post({ ...valid, email: "not-an-email", intent: "unknown" })
+		);
+		const fields = (await response.json()).errors.map(
+			(error) => error.field
+		);
+
+		expect(response.status).toBe(422);
+		expect(fields).toEqual(expect.arrayContaining(["email", "intent"]));
+	});
+
+	it("checks the subject without the intent prefix, and adds it to the mail", async () => {
+		const subject = "s".repeat(195);
+		const response = await createHandler().handle(
+			post({
+				...valid,
+				intent: "collaboration",
+				subject: `[Collaboration] ${subject}`,
+				message: "m".repeat(60),
+			})
+		);
+
+		expect(response.status).toBe(200);
+
+		const [mail] = await sentMails();
+		expect(mail).toContain(`Subject: [Collaboration] ${subject}`);
+	});
+
+	it("accepts an envelope only in the encrypted fields", async () => {
+		const handler = createHandler();
+
+		const encrypted = await handler.handle(
+			post({ ...valid, message: armored, encrypted: "true" })
+		);
+		expect(encrypted.status).toBe(200);
+
+		const smuggled = await handler.handle(
+			post({
+				...valid,
+				email: `${armored}@example.com`,
+				message: armored,
+				encrypted: "true",
+			})
+		);
+		expect(smuggled.status).toBe(422);
+		expect(
+			(await smuggled.json()).errors.map((error) => error.field)
+		).toEqual(["email"]);
+
+		// Without the flag an envelope is plain text, checked in full
+		const unmarked = await handler.handle(
+			post({ ...valid, message: armored })
+		);
+		expect(unmarked.status).toBe(200);
+	});
+
+	it("bounds the length of an armored message", async () => {
+		const limit = ContactMessageEncryptor.armoredTextLength(
+			schema.fields.message.maxLength
+		);
+		const response = await createHandler().handle(
+			post({
+				...valid,
+				message: `${armored}\n${"A".repeat(limit)}`,
+				encrypted: "true",
+			})
+		);
+		const body = await response.json();
+
+		expect(response.status).toBe(422);
+		expect(body.errors[0].key).toBe("contact.validation.maxLength");
+	});
+
+	describe("local challenge", () => {
+		const spam = { honeypot: "website", challenge: "local", difficulty: 4 };
+
+		function solve() {
+			return ContactSpamGuard.challenges
+				.get("local")
+				.getFields({ difficulty: 4 });
+		}
+
+		// A nonce that misses the difficulty, found rather than assumed
+		async function unsolved() {
+			const challenge = `${Date.now()}:unsolved`;
+			let nonce = 0;
+
+			while (
+				await ContactSpamGuard.challenges
+					.get("local")
+					.verify(`${challenge}:${nonce}`, 4)
+			) {
+				nonce++;
+			}
+
+			return `${challenge}:${nonce}`;
+		}
+
+		function codes(body) {
+			return body.errors.map((error) => error.code);
+		}
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it("accepts a solved token once", async () => {
+			const handler = createHandler({ spam });
+			const data = { ...valid, ...(await solve()) };
+
+			expect((await handler.handle(post(data))).status).toBe(200);
+
+			const replayed = await handler.handle(post(data));
+			expect(replayed.status).toBe(422);
+			expect(codes(await replayed.json())).toContain("CF0104");
+			expect(await sentMails()).toHaveLength(1);
+		});
+
+		it("still replays the answer for a retried key", async () => {
+			const handler = createHandler({ spam });
+			const data = {
+				...valid,
+				...(await solve()),
+				_idempotency_key: "retry-3",
+			};
+
+			await handler.handle(post(data));
+			const retried = await handler.handle(post(data));
+
+			expect(retried.status).toBe(200);
+			expect(retried.headers.get("Idempotent-Replayed")).toBe("true");
+		});
+
+		it("refuses missing, unsolved and out of date tokens", async () => {
+			const handler = createHandler({ spam });
+			const fields = await solve();
+
+			for (const token of ["", await unsolved()]) {
+				const response = await handler.handle(
+					post({ ...valid, "pow-token": token })
+				);
+				expect(codes(await response.json())).toContain("CF0104");
+			}
+
+			// Issued two hours before or after the Worker's clock
+			for (const shift of [-2, 2]) {
+				vi.useFakeTimers({ toFake: ["Date"] });
+				vi.setSystemTime(Date.now() + shift * 60 * 60 * 1000);
+
+				const response = await handler.handle(
+					post({ ...valid, ...fields })
+				);
+				expect(codes(await response.json())).toContain("CF0104");
+				vi.useRealTimers();
+			}
+
+			expect(await sentMails()).toHaveLength(0);
+		});
+	});
+});
@@ -0,0 +1,24 @@
+/**
+ * File Mail Transport
+ * Registers the "file" transport, which writes each message as an .eml file
+ * to MAIL_OUTBOX_DIR. It needs Node's file system, so it is kept out of
+ * worker/index.js and the deployed bundle; tests and Node scripts import this
+ * module before creating the transport.
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { buildMimeMessage, mailTransports } from "./mail-transports.js";
+
+mailTransports.register("file", (env) => ({
+	name: "file",
+	async send(mail) {
+		const directory = env.MAIL_OUTBOX_DIR || ".mail-outbox";
+
+		await mkdir(directory, { recursive: true });
+		await writeFile(
+			`${directory}/${Date.now()}-${mail.id}.eml`,
+			await buildMimeMessage(mail)
+		);
+		return { id: mail.id };
+	},
+}));
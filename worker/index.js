@@ -0,0 +1,45 @@
+/**
+ * Site Worker
+ * Serves the Hugo build from the ASSETS binding and answers the contact form
+ * at `POST /api/contact` (see contact-handler.js).
+ */
+
+import { ContactRequestHandler } from "./contact-handler.js";
+import { mailTransports } from "./mail-transports.js";
+import { RateLimiter } from "./rate-limiter.js";
+
+export default {
+	async fetch(request, env) {
+		const url = new URL(request.url);
+
+		if (url.pathname === "/api/contact") {
+			let transport;
+			try {
+				transport = mailTransports.create(env);
+			} catch (error) {
+				// Refuse submissions rather than report undelivered mail as sent
+				console.error(
+					"Contact form mail transport unavailable:",
+					error
+				);
+				return new Response(
+					JSON.stringify({ success: false, errors: [] }),
+					{
+						status: 503,
+						headers: { "Content-Type": "application/json" },
+					}
+				);
+			}
+
+			const handler = new ContactRequestHandler({
+				env,
+				transport,
+				createLimiter: (limits) =>
+					new RateLimiter(env.CONTACT_STORE, limits),
+			});
+			return handler.handle(request);
+		}
+
+		return env.ASSETS.fetch(request);
+	},
+};
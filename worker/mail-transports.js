@@ -0,0 +1,215 @@
+/**
+ * Mail Transports
+ * Registry of pluggable transports used by the contact Worker to forward
+ * messages. The active transport comes from the `MAIL_TRANSPORT` variable:
+ * "http" posts to a Resend-compatible mail API, "cloudflare" uses an Email
+ * Routing `send_email` binding, and "console" is a local stand-in for
+ * development. The "file" stand-in for tests lives in file-transport.js, out
+ * of the deployed bundle. There is no default, so a deploy without a
+ * transport fails instead of dropping messages.
+ */
+
+export class MailTransportRegistry {
+	constructor() {
+		this.transports = new Map();
+	}
+
+	/**
+	 * Register a mail transport
+	 * @param {string} type - Transport type referenced by `MAIL_TRANSPORT`
+	 * @param {Function} factory - (env) => { name, send(mail) => Promise<{ id }> }
+	 */
+	register(type, factory) {
+		this.transports.set(type.toLowerCase(), factory);
+	}
+
+	/**
+	 * Create the transport configured for the environment
+	 * @param {Object} env - Worker environment
+	 * @returns {Object} The transport
+	 * @throws {Error} When MAIL_TRANSPORT is unset, unknown or missing its settings
+	 */
+	create(env) {
+		if (!env.MAIL_TRANSPORT) {
+			throw new Error("MAIL_TRANSPORT is not set");
+		}
+
+		const type = String(env.MAIL_TRANSPORT).toLowerCase();
+		const factory = this.transports.get(type);
+
+		if (!factory) {
+			throw new Error(`Unknown mail transport: ${type}`);
+		}
+
+		return factory(env);
+	}
+}
+
+/**
+ * Encode binary data as base64
+ * @param {ArrayBuffer} buffer - The data
+ * @returns {string} Base64 text
+ */
+function toBase64(buffer) {
+	const bytes = new Uint8Array(buffer);
+	let binary = "";
+
+	// Chunked so large attachments don't overflow the argument list
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+
+	return btoa(binary);
+}
+
+/**
+ * Encode a header value that may contain non-ASCII text (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} The encoded value
+ */
+function encodeHeader(value) {
+	return /^[\x20-\x7e]*$/.test(value)
+		? value
+		: `=?UTF-8?B?${toBase64(new TextEncoder().encode(value))}?=`;
+}
+
+/**
+ * Build a raw MIME message with the text body and attachments
+ * @param {Object} mail - Message from ContactRequestHandler
+ * @returns {Promise<string>} The raw message
+ */
+export async function buildMimeMessage(mail) {
+	const boundary = `contact-${crypto.randomUUID()}`;
+	const headers = [
+		`From: ${mail.from}`,
+		`To: ${mail.to}`,
+		mail.replyTo ? `Reply-To: ${mail.replyTo}` : null,
+		`Subject: ${encodeHeader(mail.subject)}`,
+		`Message-ID: <${mail.id}@contact.worker>`,
+		`Date: ${new Date().toUTCString()}`,
+		"MIME-Version: 1.0",
+		`Content-Type: multipart/mixed; boundary="${boundary}"`,
+	].filter(Boolean);
+
+	const parts = [
+		[
+			`--${boundary}`,
+			"Content-Type: text/plain; charset=utf-8",
+			"Content-Transfer-Encoding: base64",
+			"",
+			toBase64(new TextEncoder().encode(mail.text)).replace(
+				/.{76}/g,
+				"$&\r\n"
+			),
+		].join("\r\n"),
+	];
+
+	for (const file of mail.attachments) {
+		const content = toBase64(await file.arrayBuffer());
+		parts.push(
+			[
+				`--${boundary}`,
+				`Content-Type: ${
+					file.type || "application/octet-stream"
+				}; name="${encodeHeader(file.name)}"`,
+				`Content-Disposition: attachment; filename="${encodeHeader(
+					file.name
+				)}"`,
+				"Content-Transfer-Encoding: base64",
+				"",
+				content.replace(/.{76}/g, "$&\r\n"),
+			].join("\r\n")
+		);
+	}
+
+	return `${headers.join("\r\n")}\r\n\r\n${parts.join(
+		"\r\n"
+	)}\r\n--${boundary}--\r\n`;
+}
+
+export const mailTransports = new MailTransportRegistry();
+
+// Logs the message; set for `wrangler dev --env dev`
+mailTransports.register("console", () => ({
+	name: "console",
+	async send(mail) {
+		console.log(
+			`[contact] ${mail.subject}\nFrom: ${mail.replyTo}\nTo: ${mail.to}\n\n${mail.text}`,
+			mail.attachments.map((file) => `${file.name} (${file.size} B)`)
+		);
+		return { id: mail.id };
+	},
+}));
+
+// Resend-compatible HTTP API (MAIL_API_URL, MAIL_API_KEY secret)
+mailTransports.register("http", (env) => {
+	if (!env.MAIL_API_KEY) {
+		throw new Error('MAIL_TRANSPORT "http" needs the MAIL_API_KEY secret');
+	}
+
+	return {
+		name: "http",
+		async send(mail) {
+			const attachments = await Promise.all(
+				mail.attachments.map(async (file) => ({
+					filename: file.name,
+					content: toBase64(await file.arrayBuffer()),
+				}))
+			);
+
+			const response = await fetch(
+				env.MAIL_API_URL || "https://api.resend.com/emails",
+				{
+					method: "POST",
+					headers: {
+						Authorization: `Bearer ${env.MAIL_API_KEY}`,
+						"Content-Type": "application/json",
+						"Idempotency-Key": mail.id,
+					},
+					body: JSON.stringify({
+						from: mail.from,
+						to: [mail.to],
+						reply_to: mail.replyTo || undefined,
+						subject: mail.subject,
+						text: mail.text,
+						attachments,
+					}),
+				}
+			);
+
+			if (!response.ok) {
+				throw new Error(
+					`Mail API responded with HTTP ${response.status}`
+				);
+			}
+
+			const result = await response.json().catch(() => ({}));
+			return { id: result.id || mail.id };
+		},
+	};
+});
+
+// Cloudflare Email Routing through a `send_email` binding named SEND_EMAIL
+mailTransports.register("cloudflare", (env) => {
+	if (!env.SEND_EMAIL) {
+		throw new Error(
+			'MAIL_TRANSPORT "cloudflare" needs a send_email binding named SEND_EMAIL'
+		);
+	}
+
+	return {
+		name: "cloudflare",
+		async send(mail) {
+			const { EmailMessage } = await import("cloudflare:email");
+
+			await env.SEND_EMAIL.send(
+				new EmailMessage(
+					mail.from,
+					mail.to,
+					await buildMimeMessage(mail)
+				)
+			);
+			return { id: mail.id };
+		},
+	};
+});
@@ -0,0 +1,175 @@
+/**
+ * Rate Limiter
+ * Sliding-window limit per client for the contact Worker, plus the store of
+ * idempotent responses and spent proof-of-work tokens. Backed by the
+ * CONTACT_STORE KV namespace when it is bound, otherwise by memory that lives
+ * as long as the Worker isolate.
+ */
+
+/**
+ * Minimal in-memory stand-in for a KV namespace (get, put with expirationTtl, delete)
+ */
+export class MemoryStore {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			return null;
+		}
+
+		if (entry.expires && entry.expires <= Date.now()) {
+			this.entries.delete(key);
+			return null;
+		}
+
+		return entry.value;
+	}
+
+	async put(key, value, options = {}) {
+		this.entries.set(key, {
+			value,
+			expires: options.expirationTtl
+				? Date.now() + options.expirationTtl * 1000
+				: null,
+		});
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+}
+
+// Shared by every request handled by this isolate
+const memoryStore = new MemoryStore();
+
+export class RateLimiter {
+	/**
+	 * @param {Object} [store] - KV namespace, defaults to the isolate's memory store
+	 * @param {Object} [options] - `params.contact.limits` from the site configuration
+	 */
+	constructor(store, options = {}) {
+		this.store = store || memoryStore;
+		this.maxSubmissions = Number.isInteger(options.max) ? options.max : 3;
+		this.window = (options.window || 60) * 60 * 1000;
+	}
+
+	/**
+	 * Check whether a client may submit again
+	 * @param {string} client - Client key, e.g. the connecting IP
+	 * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in milliseconds
+	 */
+	async check(client) {
+		if (this.maxSubmissions <= 0) {
+			return { allowed: true, retryAfter: 0 };
+		}
+
+		const recent = await this.load(client);
+		if (recent.length < this.maxSubmissions) {
+			return { allowed: true, retryAfter: 0 };
+		}
+
+		return {
+			allowed: false,
+			retryAfter:
+				recent[recent.length - this.maxSubmissions] +
+				this.window -
+				Date.now(),
+		};
+	}
+
+	/**
+	 * Count a delivered submission against the client's limit
+	 * @param {string} client - Client key
+	 */
+	async record(client) {
+		const recent = await this.load(client);
+		recent.push(Date.now());
+
+		await this.store.put(`rate:${client}`, JSON.stringify(recent), {
+			// KV doesn't accept TTLs under a minute
+			expirationTtl: Math.max(60, Math.ceil(this.window / 1000)),
+		});
+	}
+
+	async load(client) {
+		const horizon = Date.now() - this.window;
+
+		try {
+			const entries = JSON.parse(await this.store.get(`rate:${client}`));
+			return (entries || [])
+				.filter((at) => at > horizon)
+				.sort((a, b) => a - b);
+		} catch (error) {
+			return [];
+		}
+	}
+
+	/**
+	 * Get the stored response for an idempotency key
+	 * @param {string} key - Idempotency-Key header value
+	 * @returns {Promise<Object|null>} { status, body }, { pending: true } while
+	 * another request sends it, or null
+	 */
+	async getIdempotent(key) {
+		try {
+			return JSON.parse(await this.store.get(`idempotency:${key}`));
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Remember the response for an idempotency key for a day
+	 * @param {string} key - Idempotency-Key header value
+	 * @param {Object} response - { status, body }
+	 */
+	async putIdempotent(key, response) {
+		await this.store.put(`idempotency:${key}`, JSON.stringify(response), {
+			expirationTtl: 24 * 60 * 60,
+		});
+	}
+
+	/**
+	 * Mark an idempotency key as in use while its message is sent. The marker
+	 * expires by itself in case the Worker stops before answering.
+	 * @param {string} key - Idempotency-Key header value
+	 */
+	async reserveIdempotent(key) {
+		await this.store.put(
+			`idempotency:${key}`,
+			JSON.stringify({ pending: true }),
+			{ expirationTtl: 5 * 60 }
+		);
+	}
+
+	/**
+	 * Forget a reserved idempotency key whose message was not sent
+	 * @param {string} key - Idempotency-Key header value
+	 */
+	async releaseIdempotent(key) {
+		await this.store.delete(`idempotency:${key}`);
+	}
+
+	/**
+	 * Check whether a proof-of-work token was already used for a message
+	 * @param {string} token - Token from ContactSpamGuard's local challenge
+	 * @returns {Promise<boolean>} True when the token was spent
+	 */
+	async isSpent(token) {
+		return (await this.store.get(`challenge:${token}`)) !== null;
+	}
+
+	/**
+	 * Refuse a proof-of-work token from now on
+	 * @param {string} token - Token from ContactSpamGuard's local challenge
+	 * @param {number} lifetime - How long the token would still be accepted, in milliseconds
+	 */
+	async spend(token, lifetime) {
+		await this.store.put(`challenge:${token}`, "1", {
+			expirationTtl: Math.max(60, Math.ceil(lifetime / 1000)),
+		});
+	}
+}